@@ -0,0 +1,29 @@
+import { timingSafeEqual } from "node:crypto";
+import { RequestHandler } from "express";
+import { SUPPORTED_SCOPES } from "./scopes.js";
+
+function safeEqual(a: string, b: string): boolean {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * Accepts the shared key either as an `x-api-key` header or a bearer token.
+ * Key holders are trusted with every scope.
+ */
+export function requireApiKey(apiKey: string): RequestHandler {
+  return (req, res, next) => {
+    const header = req.headers["x-api-key"];
+    const auth = req.headers.authorization;
+    const provided = typeof header === "string" ? header : auth?.startsWith("Bearer ") ? auth.slice(7) : undefined;
+
+    if (!provided || !safeEqual(provided, apiKey)) {
+      res.status(401).json({ error: "unauthorized" });
+      return;
+    }
+
+    req.auth = { token: provided, clientId: "api-key", scopes: SUPPORTED_SCOPES };
+    next();
+  };
+}
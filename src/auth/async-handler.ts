@@ -0,0 +1,10 @@
+import type { NextFunction, Request, RequestHandler, Response } from "express";
+
+// Express 4 ignores rejected promises; forward them to the error handler instead
+export function asyncHandler(
+  handler: (req: Request, res: Response, next: NextFunction) => Promise<void>
+): RequestHandler {
+  return (req, res, next) => {
+    handler(req, res, next).catch(next);
+  };
+}
@@ -0,0 +1,150 @@
+import { randomUUID } from "node:crypto";
+import { Router } from "express";
+import { asyncHandler } from "./async-handler.js";
+import { RateLimiter } from "./rate-limit.js";
+import { isAllowedRedirectUri } from "./redirects.js";
+import { isScope } from "./scopes.js";
+import type { AuthStore } from "./store.js";
+
+export interface RegisteredClient {
+  client_id: string;
+  client_id_issued_at: number;
+  client_name?: string;
+  client_uri?: string;
+  redirect_uris: string[];
+  grant_types: string[];
+  response_types: string[];
+  token_endpoint_auth_method: "none";
+  scope?: string;
+}
+
+const SUPPORTED_GRANT_TYPES = ["authorization_code", "refresh_token"];
+
+class ClientMetadataError extends Error {}
+
+function validRedirectUri(value: unknown): value is string {
+  if (typeof value !== "string") return false;
+  try {
+    const url = new URL(value);
+    const loopback = ["localhost", "127.0.0.1", "[::1]"].includes(url.hostname);
+    // Custom schemes are allowed for native apps; plain http only on loopback
+    return !url.hash && (url.protocol !== "http:" || loopback);
+  } catch {
+    return false;
+  }
+}
+
+function parseMetadata(body: Record<string, unknown>): Omit<RegisteredClient, "client_id" | "client_id_issued_at"> {
+  const { redirect_uris, grant_types, response_types, token_endpoint_auth_method, client_name, client_uri, scope } = body;
+
+  if (!Array.isArray(redirect_uris) || redirect_uris.length === 0 || !redirect_uris.every(validRedirectUri)) {
+    throw new ClientMetadataError("redirect_uris must be a non-empty list of https, loopback or custom-scheme URIs");
+  }
+  if (token_endpoint_auth_method !== undefined && token_endpoint_auth_method !== "none") {
+    throw new ClientMetadataError("Only public clients (token_endpoint_auth_method \"none\") are supported");
+  }
+
+  const grants = (grant_types as string[] | undefined) ?? ["authorization_code", "refresh_token"];
+  if (!Array.isArray(grants) || grants.some((grant) => !SUPPORTED_GRANT_TYPES.includes(grant))) {
+    throw new ClientMetadataError(`grant_types must be a subset of: ${SUPPORTED_GRANT_TYPES.join(", ")}`);
+  }
+
+  const responses = (response_types as string[] | undefined) ?? ["code"];
+  if (!Array.isArray(responses) || responses.some((type) => type !== "code")) {
+    throw new ClientMetadataError("response_types must be [\"code\"]");
+  }
+
+  if (scope !== undefined && (typeof scope !== "string" || scope.split(" ").some((s) => s && !isScope(s)))) {
+    throw new ClientMetadataError("scope contains an unsupported value");
+  }
+
+  return {
+    redirect_uris: redirect_uris as string[],
+    grant_types: grants,
+    response_types: responses,
+    token_endpoint_auth_method: "none",
+    client_name: typeof client_name === "string" ? client_name : undefined,
+    client_uri: typeof client_uri === "string" ? client_uri : undefined,
+    scope: scope as string | undefined,
+  };
+}
+
+const CLIENTS = "clients";
+
+// Registrations are unauthenticated, so clients that never get a token are dropped after a day
+const UNUSED_CLIENT_TTL_MS = 24 * 3600_000;
+// Renewed whenever the client is issued tokens, so it outlives its refresh tokens
+const CLIENT_TTL_MS = 30 * 24 * 3600_000;
+const MAX_CLIENTS = 1000;
+const REGISTRATIONS_PER_HOUR = 10;
+
+/**
+ * Clients registered through RFC 7591 dynamic client registration. Clients
+ * expire when unused, at most `MAX_CLIENTS` are kept, and each address may
+ * register `REGISTRATIONS_PER_HOUR` of them.
+ */
+export class ClientRegistry {
+  private readonly registrations = new RateLimiter(REGISTRATIONS_PER_HOUR, 3600_000);
+
+  constructor(private readonly store: AuthStore) {}
+
+  get(clientId: string): Promise<RegisteredClient | undefined> {
+    return this.store.get<RegisteredClient>(CLIENTS, clientId);
+  }
+
+  async register(metadata: Omit<RegisteredClient, "client_id" | "client_id_issued_at">): Promise<RegisteredClient> {
+    const client: RegisteredClient = {
+      ...metadata,
+      client_id: randomUUID(),
+      client_id_issued_at: Math.floor(Date.now() / 1000),
+    };
+    await this.store.set(CLIENTS, client.client_id, client, Date.now() + UNUSED_CLIENT_TTL_MS);
+    return client;
+  }
+
+  // Extends the client's lifetime; called whenever it is issued tokens
+  async touch(clientId: string): Promise<void> {
+    const client = await this.get(clientId);
+    if (client) await this.store.set(CLIENTS, clientId, client, Date.now() + CLIENT_TTL_MS);
+  }
+
+  /**
+   * Registered clients may only use the redirect URIs they registered.
+   * Unregistered client ids fall back to the server-wide allowlist.
+   */
+  async isAllowedRedirect(clientId: string, redirectUri: string, fallback: string[]): Promise<boolean> {
+    const client = await this.get(clientId);
+    return isAllowedRedirectUri(redirectUri, client ? client.redirect_uris : fallback);
+  }
+
+  router(): Router {
+    const router = Router();
+
+    router.post("/oauth/register", asyncHandler(async (req, res) => {
+      let metadata;
+      try {
+        metadata = parseMetadata(req.body ?? {});
+      } catch (error) {
+        if (!(error instanceof ClientMetadataError)) throw error;
+        res.status(400).json({ error: "invalid_client_metadata", error_description: error.message });
+        return;
+      }
+
+      const address = req.ip ?? "";
+      if (this.registrations.isLimited(address)) {
+        res.status(429).set("Retry-After", "3600").json({ error: "slow_down", error_description: "Too many client registrations, try again later" });
+        return;
+      }
+      this.registrations.record(address);
+      if ((await this.store.list(CLIENTS)).length >= MAX_CLIENTS) {
+        res.status(503).json({ error: "temporarily_unavailable", error_description: "Too many registered clients, try again later" });
+        return;
+      }
+
+      const client = await this.register(metadata);
+      res.status(201).set("Cache-Control", "no-store").json(client);
+    }));
+
+    return router;
+  }
+}
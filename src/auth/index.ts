@@ -0,0 +1,28 @@
+import { RequestHandler } from "express";
+import type { ServerConfig } from "../config.js";
+import { requireApiKey } from "./api-key.js";
+import { createOAuth } from "./oauth.js";
+import { FileAuthStore, MemoryAuthStore } from "./store.js";
+import type { AuthSetup } from "./types.js";
+
+export type { AuthSetup };
+
+const allowAll: RequestHandler = (_req, _res, next) => next();
+
+export function createAuth(config: ServerConfig): AuthSetup {
+  switch (config.auth) {
+    case "oauth":
+      if (!config.authStoreFile) {
+        console.warn("OAUTH_STORE_FILE is not set: no user accounts exist, so nobody can sign in");
+      }
+      return createOAuth({
+        redirectUris: config.oauthRedirectUris,
+        resourcePath: config.transport === "sse" ? "/sse" : "/mcp",
+        store: config.authStoreFile ? new FileAuthStore(config.authStoreFile) : new MemoryAuthStore(),
+      });
+    case "api-key":
+      return { requireAuth: requireApiKey(config.apiKey!) };
+    default:
+      return { requireAuth: allowAll };
+  }
+}
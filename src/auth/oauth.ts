@@ -0,0 +1,443 @@
+import { randomBytes } from "node:crypto";
+import { Request, Response, Router } from "express";
+import { asyncHandler } from "./async-handler.js";
+import { RateLimiter } from "./rate-limit.js";
+import { ClientRegistry } from "./clients.js";
+import { renderConsentPage } from "./pages.js";
+import { isValidCodeChallenge, verifyPkce } from "./pkce.js";
+import { isScope, SUPPORTED_SCOPES } from "./scopes.js";
+import { AuthStore, hashToken } from "./store.js";
+import type { AuthSetup } from "./types.js";
+import { UserStore } from "./users.js";
+
+const CODE_TTL_MS = 60_000;
+const LOGIN_TTL_MS = 10 * 60_000;
+// Failed sign-ins allowed per consent page, and per address across all of them
+const MAX_SIGN_IN_ATTEMPTS = 5;
+const FAILED_SIGN_INS_PER_ADDRESS = 20;
+const FAILED_SIGN_IN_WINDOW_MS = 15 * 60_000;
+const ACCESS_TOKEN_TTL_S = 3600;
+const REFRESH_TOKEN_TTL_S = 30 * 24 * 3600;
+const SWEEP_INTERVAL_MS = 5 * 60_000;
+
+// Store collections; codes and tokens are keyed by their hash
+const AUTH_REQUESTS = "auth_requests";
+const CODES = "codes";
+const ACCESS_TOKENS = "access_tokens";
+const REFRESH_TOKENS = "refresh_tokens";
+
+// An /authorize request waiting for the user to sign in and approve
+interface PendingAuthorization {
+  clientId: string;
+  clientName: string;
+  redirectUri: string;
+  state?: string;
+  codeChallenge: string;
+  scope: string;
+  failedSignIns: number;
+  expiresAt: number;
+}
+
+interface AuthorizationCode {
+  username: string;
+  clientId: string;
+  redirectUri: string;
+  codeChallenge: string;
+  scope: string;
+  expiresAt: number;
+}
+
+interface IssuedToken {
+  username: string;
+  clientId: string;
+  scope: string;
+  expiresAt: number;
+}
+
+export interface OAuthOptions {
+  // Exact redirect URIs unregistered clients may use
+  redirectUris: string[];
+  // Path of the protected MCP endpoint, e.g. "/mcp" or "/sse"
+  resourcePath: string;
+  store: AuthStore;
+}
+
+function baseUrl(req: Request): string {
+  return `${req.protocol}://${req.get("host")}`;
+}
+
+function newToken(): string {
+  return randomBytes(32).toString("base64url");
+}
+
+function tokenError(res: Response, error: string, description: string, status = 400): void {
+  res.status(status).set("Cache-Control", "no-store").json({ error, error_description: description });
+}
+
+function redirectHost(redirectUri: string): string {
+  const url = new URL(redirectUri);
+  return url.host || url.protocol;
+}
+
+/**
+ * Reads OAuth parameters, which are all single strings. Returns undefined when
+ * one is repeated (`?scope=a&scope=b`) or nested, which parse as arrays or
+ * objects.
+ */
+function stringParams<K extends string>(source: unknown, names: readonly K[]): Record<K, string | undefined> | undefined {
+  const values = (source ?? {}) as Record<string, unknown>;
+  const params = {} as Record<K, string | undefined>;
+  for (const name of names) {
+    const value = values[name];
+    if (value !== undefined && typeof value !== "string") return undefined;
+    params[name] = value;
+  }
+  return params;
+}
+
+function invalidScopes(scope: string): string[] {
+  return scope.split(" ").filter((s) => s && !isScope(s));
+}
+
+/**
+ * OAuth 2.1 authorization server for public clients: authorization codes are
+ * bound to the client, redirect URI and an S256 PKCE challenge, expire after a
+ * minute and are single use. Codes are only issued once a local user has
+ * signed in and approved the request on the consent page. Access tokens expire after an hour and can be
+ * renewed with rotating refresh tokens. Clients can register themselves
+ * (RFC 7591) and discover the server through protected resource metadata
+ * (RFC 9728), which every 401 points to. Everything is kept in `store`,
+ * which is swept for expired codes and tokens every few minutes.
+ */
+export function createOAuth(options: OAuthOptions): AuthSetup {
+  const { store } = options;
+  const clients = new ClientRegistry(store);
+  const users = new UserStore(store);
+  // Each failed sign-in runs scrypt, so guessing is limited per address as well as per request
+  const failedSignIns = new RateLimiter(FAILED_SIGN_INS_PER_ADDRESS, FAILED_SIGN_IN_WINDOW_MS);
+  const resourceMetadataPath = `/.well-known/oauth-protected-resource${options.resourcePath}`;
+
+  setInterval(() => {
+    store.sweep().catch((error) => console.error("OAuth store sweep failed:", error));
+  }, SWEEP_INTERVAL_MS).unref();
+
+  async function issueTokens(res: Response, username: string, clientId: string, scope: string): Promise<void> {
+    const now = Date.now();
+    const accessToken = newToken();
+    const accessExpiresAt = now + ACCESS_TOKEN_TTL_S * 1000;
+    await store.set<IssuedToken>(ACCESS_TOKENS, hashToken(accessToken), { username, clientId, scope, expiresAt: accessExpiresAt }, accessExpiresAt);
+
+    // Clients that registered without the refresh_token grant don't get one
+    await clients.touch(clientId);
+    const client = await clients.get(clientId);
+    const refreshToken = !client || client.grant_types.includes("refresh_token") ? newToken() : undefined;
+    if (refreshToken) {
+      const refreshExpiresAt = now + REFRESH_TOKEN_TTL_S * 1000;
+      await store.set<IssuedToken>(REFRESH_TOKENS, hashToken(refreshToken), { username, clientId, scope, expiresAt: refreshExpiresAt }, refreshExpiresAt);
+    }
+
+    res.set("Cache-Control", "no-store").json({
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: ACCESS_TOKEN_TTL_S,
+      refresh_token: refreshToken,
+      scope,
+    });
+  }
+
+  const router = Router();
+  router.use(clients.router());
+
+  router.get("/.well-known/oauth-authorization-server", (req, res) => {
+    const base = baseUrl(req);
+    res.json({
+      issuer: base,
+      authorization_endpoint: `${base}/oauth/authorize`,
+      token_endpoint: `${base}/oauth/token`,
+      registration_endpoint: `${base}/oauth/register`,
+      scopes_supported: SUPPORTED_SCOPES,
+      response_types_supported: ["code"],
+      grant_types_supported: ["authorization_code", "refresh_token"],
+      code_challenge_methods_supported: ["S256"],
+      token_endpoint_auth_methods_supported: ["none"],
+    });
+  });
+
+  router.get(["/.well-known/oauth-protected-resource", resourceMetadataPath], (req, res) => {
+    const base = baseUrl(req);
+    res.json({
+      resource: `${base}${options.resourcePath}`,
+      authorization_servers: [base],
+      scopes_supported: SUPPORTED_SCOPES,
+      bearer_methods_supported: ["header"],
+      resource_name: "TMDB MCP Server",
+    });
+  });
+
+  router.get("/oauth/authorize", asyncHandler(async (req, res) => {
+    const params = stringParams(req.query, [
+      "client_id",
+      "redirect_uri",
+      "response_type",
+      "state",
+      "code_challenge",
+      "code_challenge_method",
+      "scope",
+    ]);
+    if (!params) {
+      res.status(400).json({ error: "invalid_request", error_description: "Parameters must be single strings" });
+      return;
+    }
+    const { client_id, redirect_uri, response_type, state, code_challenge, code_challenge_method } = params;
+
+    // Without a trusted redirect URI errors can't be sent back to the client
+    if (!client_id) {
+      res.status(400).json({ error: "invalid_request", error_description: "client_id is required" });
+      return;
+    }
+    if (!redirect_uri || !(await clients.isAllowedRedirect(client_id, redirect_uri, options.redirectUris))) {
+      res.status(400).json({ error: "invalid_request", error_description: "redirect_uri is missing or not allowed" });
+      return;
+    }
+
+    // Without a requested scope, grant what the client registered for, or everything
+    const client = await clients.get(client_id);
+    const scope = params.scope || client?.scope || SUPPORTED_SCOPES.join(" ");
+
+    const callback = new URL(redirect_uri);
+    if (state) callback.searchParams.set("state", state);
+    const fail = (error: string, description: string) => {
+      callback.searchParams.set("error", error);
+      callback.searchParams.set("error_description", description);
+      res.redirect(callback.toString());
+    };
+
+    if (response_type !== "code") {
+      return fail("unsupported_response_type", "Only response_type=code is supported");
+    }
+    if (!code_challenge || code_challenge_method !== "S256" || !isValidCodeChallenge(code_challenge)) {
+      return fail("invalid_request", "An S256 code_challenge is required");
+    }
+    if (invalidScopes(scope).length) {
+      return fail("invalid_scope", `Unsupported scope: ${invalidScopes(scope).join(" ")}`);
+    }
+    // A registered scope is the most the client may ask for
+    const registered = client?.scope?.split(" ");
+    const unregistered = registered ? scope.split(" ").filter((s) => s && !registered.includes(s)) : [];
+    if (unregistered.length) {
+      return fail("invalid_scope", `Client is not registered for scope: ${unregistered.join(" ")}`);
+    }
+
+    const pending: PendingAuthorization = {
+      clientId: client_id,
+      clientName: client?.client_name || client_id,
+      redirectUri: redirect_uri,
+      state,
+      codeChallenge: code_challenge,
+      scope,
+      failedSignIns: 0,
+      expiresAt: Date.now() + LOGIN_TTL_MS,
+    };
+    const requestId = newToken();
+    await store.set(AUTH_REQUESTS, hashToken(requestId), pending, pending.expiresAt);
+
+    sendConsentPage(res, requestId, pending);
+  }));
+
+  function sendConsentPage(res: Response, requestId: string, pending: PendingAuthorization, username?: string, error?: string): void {
+    res.status(error ? 401 : 200)
+      .set("Cache-Control", "no-store")
+      .set("X-Frame-Options", "DENY")
+      .set("Content-Security-Policy", "frame-ancestors 'none'")
+      .type("html")
+      .send(renderConsentPage({
+        requestId,
+        clientName: pending.clientName,
+        redirectHost: redirectHost(pending.redirectUri),
+        scopes: pending.scope.split(" ").filter(Boolean),
+        username,
+        error,
+      }));
+  }
+
+  // The consent form posts back here with the user's credentials and decision
+  router.post("/oauth/authorize", asyncHandler(async (req, res) => {
+    const params = stringParams(req.body, ["request_id", "action", "username", "password"]);
+    if (!params) {
+      res.status(400).type("text").send("This sign-in request is invalid. Return to the application and try again.");
+      return;
+    }
+    const { request_id = "", action, username = "", password = "" } = params;
+
+    const requestKey = hashToken(request_id);
+    const pending = await store.get<PendingAuthorization>(AUTH_REQUESTS, requestKey);
+    if (!pending) {
+      res.status(400).type("text").send("This sign-in request has expired. Return to the application and try again.");
+      return;
+    }
+
+    const callback = new URL(pending.redirectUri);
+    if (pending.state) callback.searchParams.set("state", pending.state);
+
+    if (action !== "approve") {
+      await store.delete(AUTH_REQUESTS, requestKey);
+      callback.searchParams.set("error", "access_denied");
+      callback.searchParams.set("error_description", "The user denied the request");
+      res.redirect(callback.toString());
+      return;
+    }
+
+    const address = req.ip ?? "";
+    if (failedSignIns.isLimited(address)) {
+      res.status(429).type("text").send("Too many failed sign-in attempts. Try again later.");
+      return;
+    }
+
+    const user = await users.verify(username, password);
+    if (!user) {
+      failedSignIns.record(address);
+      const failed = { ...pending, failedSignIns: pending.failedSignIns + 1 };
+      if (failed.failedSignIns >= MAX_SIGN_IN_ATTEMPTS) {
+        await store.delete(AUTH_REQUESTS, requestKey);
+        res.status(400).type("text").send("Too many failed sign-in attempts. Return to the application and try again.");
+        return;
+      }
+      await store.set(AUTH_REQUESTS, requestKey, failed, failed.expiresAt);
+      return sendConsentPage(res, request_id, failed, username, "Incorrect username or password.");
+    }
+    if (!(await store.delete(AUTH_REQUESTS, requestKey))) {
+      res.status(400).type("text").send("This sign-in request was already used.");
+      return;
+    }
+
+    await users.recordGrant({
+      username: user,
+      clientId: pending.clientId,
+      clientName: pending.clientName,
+      scopes: pending.scope.split(" ").filter(Boolean),
+      grantedAt: Date.now(),
+    });
+
+    const code = newToken();
+    const expiresAt = Date.now() + CODE_TTL_MS;
+    await store.set<AuthorizationCode>(CODES, hashToken(code), {
+      username: user,
+      clientId: pending.clientId,
+      redirectUri: pending.redirectUri,
+      codeChallenge: pending.codeChallenge,
+      scope: pending.scope,
+      expiresAt,
+    }, expiresAt);
+
+    callback.searchParams.set("code", code);
+    res.redirect(callback.toString());
+  }));
+
+  router.post("/oauth/token", asyncHandler(async (req, res) => {
+    const params = stringParams(req.body, [
+      "grant_type",
+      "code",
+      "redirect_uri",
+      "client_id",
+      "code_verifier",
+      "refresh_token",
+      "scope",
+    ]);
+    if (!params) {
+      return tokenError(res, "invalid_request", "Parameters must be single strings");
+    }
+    const { grant_type = "", code, redirect_uri, client_id, code_verifier, refresh_token, scope } = params;
+
+    if (!client_id) {
+      return tokenError(res, "invalid_request", "client_id is required");
+    }
+
+    const client = await clients.get(client_id);
+    if (client && !client.grant_types.includes(grant_type)) {
+      return tokenError(res, "unauthorized_client", `Client is not registered for the ${grant_type} grant`);
+    }
+
+    if (grant_type === "authorization_code") {
+      if (!code || !redirect_uri || !code_verifier) {
+        return tokenError(res, "invalid_request", "code, redirect_uri and code_verifier are required");
+      }
+
+      // Deleting first guarantees single use even with concurrent requests
+      const codeKey = hashToken(code);
+      const authCode = await store.get<AuthorizationCode>(CODES, codeKey);
+      if (!authCode || !(await store.delete(CODES, codeKey)) || authCode.expiresAt <= Date.now()) {
+        return tokenError(res, "invalid_grant", "Authorization code is invalid or expired");
+      }
+      if (authCode.clientId !== client_id || authCode.redirectUri !== redirect_uri) {
+        return tokenError(res, "invalid_grant", "Authorization code was issued to another client or redirect_uri");
+      }
+      if (!verifyPkce(code_verifier, authCode.codeChallenge)) {
+        return tokenError(res, "invalid_grant", "PKCE verification failed");
+      }
+
+      return issueTokens(res, authCode.username, authCode.clientId, authCode.scope);
+    }
+
+    if (grant_type === "refresh_token") {
+      if (!refresh_token) {
+        return tokenError(res, "invalid_request", "refresh_token is required");
+      }
+
+      const refreshKey = hashToken(refresh_token);
+      const stored = await store.get<IssuedToken>(REFRESH_TOKENS, refreshKey);
+      if (!stored || stored.expiresAt <= Date.now() || stored.clientId !== client_id) {
+        return tokenError(res, "invalid_grant", "Refresh token is invalid or expired");
+      }
+
+      // Clients may narrow, but never widen, the originally granted scope
+      const granted = stored.scope.split(" ");
+      const requested = scope ? scope.split(" ").filter(Boolean) : granted;
+      if (requested.some((s) => !granted.includes(s))) {
+        return tokenError(res, "invalid_scope", "Requested scope exceeds the original grant");
+      }
+
+      // Refresh tokens rotate: each one can be used exactly once
+      if (!(await store.delete(REFRESH_TOKENS, refreshKey))) {
+        return tokenError(res, "invalid_grant", "Refresh token is invalid or expired");
+      }
+      return issueTokens(res, stored.username, stored.clientId, requested.join(" "));
+    }
+
+    tokenError(res, "unsupported_grant_type", "Supported grant types: authorization_code, refresh_token");
+  }));
+
+  // RFC 6750 challenge telling clients where to find the resource metadata
+  function unauthorized(req: Request, res: Response, error?: string, description?: string): void {
+    const params = [`resource_metadata="${baseUrl(req)}${resourceMetadataPath}"`];
+    if (error) params.push(`error="${error}"`);
+    if (description) params.push(`error_description="${description}"`);
+
+    res.status(401)
+      .set("WWW-Authenticate", `Bearer ${params.join(", ")}`)
+      .json({ error: error ?? "unauthorized", error_description: description });
+  }
+
+  const requireAuth = asyncHandler(async (req, res, next) => {
+    const auth = req.headers.authorization;
+    if (!auth || !auth.startsWith("Bearer ")) {
+      return unauthorized(req, res);
+    }
+
+    const token = auth.slice(7);
+    const tokenData = await store.get<IssuedToken>(ACCESS_TOKENS, hashToken(token));
+    if (!tokenData || tokenData.expiresAt <= Date.now()) {
+      return unauthorized(req, res, "invalid_token", "Access token is invalid or expired");
+    }
+
+    req.auth = {
+      token,
+      clientId: tokenData.clientId,
+      scopes: tokenData.scope.split(" "),
+      expiresAt: Math.floor(tokenData.expiresAt / 1000),
+      extra: { username: tokenData.username },
+    };
+    next();
+  });
+
+  return { router, requireAuth };
+}
@@ -0,0 +1,68 @@
+import { isScope, SCOPES } from "./scopes.js";
+
+export function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+export interface ConsentPageOptions {
+  requestId: string;
+  clientName: string;
+  redirectHost: string;
+  scopes: string[];
+  username?: string;
+  error?: string;
+}
+
+/**
+ * The sign-in and consent form shown by /oauth/authorize.
+ */
+export function renderConsentPage(options: ConsentPageOptions): string {
+  const scopes = options.scopes
+    .map((scope) => `<li><code>${escapeHtml(scope)}</code> ${escapeHtml(isScope(scope) ? SCOPES[scope] : "")}</li>`)
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Sign in - TMDB MCP Server</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #f4f5f7; display: flex; justify-content: center; padding: 3rem 1rem; }
+    main { background: #fff; border-radius: 8px; box-shadow: 0 1px 4px rgba(0, 0, 0, .15); max-width: 26rem; width: 100%; padding: 2rem; }
+    h1 { font-size: 1.3rem; margin-top: 0; }
+    label { display: block; margin: 1rem 0 .3rem; font-weight: 600; }
+    input[type=text], input[type=password] { width: 100%; box-sizing: border-box; padding: .5rem; }
+    .error { color: #b00020; }
+    .actions { display: flex; gap: .5rem; margin-top: 1.5rem; }
+    button { flex: 1; padding: .6rem; cursor: pointer; }
+    button[value=approve] { background: #01b4e4; border: none; color: #fff; font-weight: 600; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(options.clientName)} wants to access your TMDB MCP account</h1>
+    <p>After you approve, you will be sent back to <strong>${escapeHtml(options.redirectHost)}</strong>.</p>
+    <p>It is asking to:</p>
+    <ul>${scopes}</ul>
+    ${options.error ? `<p class="error">${escapeHtml(options.error)}</p>` : ""}
+    <form method="post" action="/oauth/authorize">
+      <input type="hidden" name="request_id" value="${escapeHtml(options.requestId)}">
+      <label for="username">Username</label>
+      <input id="username" name="username" type="text" autocomplete="username" value="${escapeHtml(options.username ?? "")}" required>
+      <label for="password">Password</label>
+      <input id="password" name="password" type="password" autocomplete="current-password" required>
+      <div class="actions">
+        <button type="submit" name="action" value="deny" formnovalidate>Deny</button>
+        <button type="submit" name="action" value="approve">Sign in and approve</button>
+      </div>
+    </form>
+  </main>
+</body>
+</html>`;
+}
@@ -0,0 +1,21 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+
+// RFC 7636: 43-128 characters from the unreserved set
+const VERIFIER_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+const CHALLENGE_PATTERN = /^[A-Za-z0-9\-_]{43}$/;
+
+export function isValidCodeChallenge(challenge: string): boolean {
+  return CHALLENGE_PATTERN.test(challenge);
+}
+
+/**
+ * Checks an S256 code_verifier against the code_challenge sent to /authorize.
+ */
+export function verifyPkce(verifier: string, challenge: string): boolean {
+  if (!VERIFIER_PATTERN.test(verifier)) return false;
+
+  const expected = createHash("sha256").update(verifier).digest("base64url");
+  const a = Buffer.from(expected);
+  const b = Buffer.from(challenge);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
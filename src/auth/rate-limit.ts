@@ -0,0 +1,28 @@
+/**
+ * Counts events per key, such as a client address, over a sliding window and
+ * reports when a key has used up its allowance. Kept in memory, so limits
+ * reset when the server restarts.
+ */
+export class RateLimiter {
+  private readonly events = new Map<string, number[]>();
+
+  constructor(private readonly limit: number, private readonly windowMs: number) {}
+
+  isLimited(key: string): boolean {
+    this.prune();
+    return (this.events.get(key)?.length ?? 0) >= this.limit;
+  }
+
+  record(key: string): void {
+    this.events.set(key, [...(this.events.get(key) ?? []), Date.now()]);
+  }
+
+  private prune(): void {
+    const since = Date.now() - this.windowMs;
+    for (const [key, times] of this.events) {
+      const recent = times.filter((time) => time > since);
+      if (recent.length) this.events.set(key, recent);
+      else this.events.delete(key);
+    }
+  }
+}
@@ -0,0 +1,35 @@
+// ChatGPT connectors always come back through this callback
+export const DEFAULT_REDIRECT_URIS = ["https://chatgpt.com/connector_platform_oauth_redirect"];
+
+function isLoopback(url: URL): boolean {
+  return url.protocol === "http:" && ["localhost", "127.0.0.1", "[::1]"].includes(url.hostname);
+}
+
+/**
+ * Redirect URIs must match an allowed entry exactly. Loopback URIs may use any
+ * port, as RFC 8252 allows for native clients.
+ */
+export function isAllowedRedirectUri(redirectUri: string, allowed: string[]): boolean {
+  let url: URL;
+  try {
+    url = new URL(redirectUri);
+  } catch {
+    return false;
+  }
+  if (url.hash) return false;
+
+  return allowed.some((entry) => {
+    if (entry === redirectUri) return true;
+
+    let candidate: URL;
+    try {
+      candidate = new URL(entry);
+    } catch {
+      return false;
+    }
+    return isLoopback(url) && isLoopback(candidate)
+      && url.hostname === candidate.hostname
+      && url.pathname === candidate.pathname
+      && url.search === candidate.search;
+  });
+}
@@ -0,0 +1,14 @@
+// Every scope a token can carry, with the description shown on the consent page
+export const SCOPES = {
+  read: "Look up movies, TV series and people on TMDB",
+  "lists:write": "Add and remove titles on your watchlists and custom lists",
+  "tmdb:account": "Rate titles and manage favorites and the watchlist on your linked TMDB account",
+} as const;
+
+export type Scope = keyof typeof SCOPES;
+
+export const SUPPORTED_SCOPES = Object.keys(SCOPES) as Scope[];
+
+export function isScope(value: string): value is Scope {
+  return value in SCOPES;
+}
@@ -0,0 +1,161 @@
+import { createHash } from "node:crypto";
+import { mkdirSync, readFileSync, renameSync, statSync, writeFileSync } from "node:fs";
+import { dirname } from "node:path";
+
+interface StoredRecord {
+  value: unknown;
+  // Epoch milliseconds; records without one never expire
+  expiresAt?: number;
+}
+
+/**
+ * Storage for OAuth clients, codes and tokens. Records live in named
+ * collections and may carry an expiry, after which `get` no longer returns
+ * them and `sweep` removes them.
+ */
+export interface AuthStore {
+  get<T>(collection: string, key: string): Promise<T | undefined>;
+  set<T>(collection: string, key: string, value: T, expiresAt?: number): Promise<void>;
+  // Resolves to false when there was nothing to delete
+  delete(collection: string, key: string): Promise<boolean>;
+  // Every unexpired record in a collection, as [key, value] pairs
+  list<T>(collection: string): Promise<Array<[string, T]>>;
+  sweep(now?: number): Promise<number>;
+}
+
+/**
+ * Secrets are only ever stored as their SHA-256 digest, so a leaked store
+ * file can't be replayed as bearer tokens.
+ */
+export function hashToken(token: string): string {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+export class MemoryAuthStore implements AuthStore {
+  protected readonly collections = new Map<string, Map<string, StoredRecord>>();
+
+  async get<T>(collection: string, key: string): Promise<T | undefined> {
+    const record = this.collections.get(collection)?.get(key);
+    if (!record || (record.expiresAt !== undefined && record.expiresAt <= Date.now())) {
+      return undefined;
+    }
+    return record.value as T;
+  }
+
+  async set<T>(collection: string, key: string, value: T, expiresAt?: number): Promise<void> {
+    let records = this.collections.get(collection);
+    if (!records) {
+      records = new Map();
+      this.collections.set(collection, records);
+    }
+    records.set(key, { value, expiresAt });
+    this.changed();
+  }
+
+  async delete(collection: string, key: string): Promise<boolean> {
+    const deleted = this.collections.get(collection)?.delete(key) ?? false;
+    if (deleted) this.changed();
+    return deleted;
+  }
+
+  async list<T>(collection: string): Promise<Array<[string, T]>> {
+    const now = Date.now();
+    return [...(this.collections.get(collection) ?? [])]
+      .filter(([, record]) => record.expiresAt === undefined || record.expiresAt > now)
+      .map(([key, record]) => [key, record.value as T]);
+  }
+
+  async sweep(now = Date.now()): Promise<number> {
+    let removed = 0;
+    for (const records of this.collections.values()) {
+      for (const [key, record] of records) {
+        if (record.expiresAt !== undefined && record.expiresAt <= now) {
+          records.delete(key);
+          removed++;
+        }
+      }
+    }
+    if (removed) this.changed();
+    return removed;
+  }
+
+  // Hook for persistent subclasses
+  protected changed(): void {}
+}
+
+/**
+ * Keeps the whole store in memory and rewrites a JSON file after every
+ * change, so clients and tokens survive restarts and redeploys. Another
+ * process, such as the users CLI, may write the same file while the server
+ * runs: every operation first reloads the file if it was replaced since this
+ * store last read or wrote it, so neither side overwrites the other's changes.
+ */
+export class FileAuthStore extends MemoryAuthStore {
+  // Identifies the file version held in memory; writes replace the file, so the inode changes with each one
+  private version?: string;
+
+  constructor(readonly path: string) {
+    super();
+    this.reload();
+  }
+
+  async get<T>(collection: string, key: string): Promise<T | undefined> {
+    this.reload();
+    return super.get<T>(collection, key);
+  }
+
+  async set<T>(collection: string, key: string, value: T, expiresAt?: number): Promise<void> {
+    this.reload();
+    return super.set(collection, key, value, expiresAt);
+  }
+
+  async delete(collection: string, key: string): Promise<boolean> {
+    this.reload();
+    return super.delete(collection, key);
+  }
+
+  async list<T>(collection: string): Promise<Array<[string, T]>> {
+    this.reload();
+    return super.list<T>(collection);
+  }
+
+  async sweep(now = Date.now()): Promise<number> {
+    this.reload();
+    return super.sweep(now);
+  }
+
+  protected changed(): void {
+    const data: Record<string, Record<string, StoredRecord>> = {};
+    for (const [collection, records] of this.collections) {
+      data[collection] = Object.fromEntries(records);
+    }
+
+    mkdirSync(dirname(this.path), { recursive: true });
+    const tmp = `${this.path}.tmp`;
+    writeFileSync(tmp, JSON.stringify(data), { mode: 0o600 });
+    renameSync(tmp, this.path);
+    this.version = this.fileVersion();
+  }
+
+  private fileVersion(): string | undefined {
+    try {
+      const stats = statSync(this.path);
+      return `${stats.ino}:${stats.mtimeMs}:${stats.size}`;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === "ENOENT") return undefined;
+      throw error;
+    }
+  }
+
+  private reload(): void {
+    const version = this.fileVersion();
+    if (version === undefined || version === this.version) return;
+
+    const data: Record<string, Record<string, StoredRecord>> = JSON.parse(readFileSync(this.path, "utf8"));
+    this.collections.clear();
+    for (const [collection, records] of Object.entries(data)) {
+      this.collections.set(collection, new Map(Object.entries(records)));
+    }
+    this.version = version;
+  }
+}
@@ -0,0 +1,19 @@
+import type { RequestHandler, Router } from "express";
+import type { AuthInfo } from "@modelcontextprotocol/sdk/server/auth/types.js";
+
+// The MCP transports read `req.auth` and hand it to tool handlers as `extra.authInfo`
+declare global {
+  namespace Express {
+    interface Request {
+      auth?: AuthInfo;
+    }
+  }
+}
+
+export type { AuthInfo };
+
+export interface AuthSetup {
+  // Extra routes the auth mode needs (e.g. OAuth endpoints)
+  router?: Router;
+  requireAuth: RequestHandler;
+}
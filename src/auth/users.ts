@@ -0,0 +1,91 @@
+import { randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+import type { AuthStore } from "./store.js";
+
+const scryptAsync = promisify(scrypt) as (password: string, salt: Buffer, keylen: number) => Promise<Buffer>;
+
+const USERS = "users";
+const GRANTS = "grants";
+const KEY_LENGTH = 64;
+
+interface StoredUser {
+  username: string;
+  salt: string;
+  passwordHash: string;
+  createdAt: number;
+}
+
+export interface Grant {
+  username: string;
+  clientId: string;
+  clientName?: string;
+  scopes: string[];
+  grantedAt: number;
+}
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,63}$/;
+
+/**
+ * Local accounts that can sign in on the OAuth consent page, plus the
+ * record of which user granted which client which scopes. Passwords are
+ * stored as salted scrypt hashes.
+ */
+export class UserStore {
+  constructor(private readonly store: AuthStore) {}
+
+  async create(username: string, password: string): Promise<void> {
+    const name = username.trim().toLowerCase();
+    if (!USERNAME_PATTERN.test(name)) {
+      throw new Error("Usernames must be 2-64 characters of a-z, 0-9, '.', '_' or '-'");
+    }
+    if (password.length < 8) {
+      throw new Error("Passwords must be at least 8 characters");
+    }
+    if (await this.store.get(USERS, name)) {
+      throw new Error(`User "${name}" already exists`);
+    }
+
+    const salt = randomBytes(16);
+    const hash = await scryptAsync(password, salt, KEY_LENGTH);
+    await this.store.set<StoredUser>(USERS, name, {
+      username: name,
+      salt: salt.toString("base64"),
+      passwordHash: hash.toString("base64"),
+      createdAt: Date.now(),
+    });
+  }
+
+  async remove(username: string): Promise<boolean> {
+    return this.store.delete(USERS, username.trim().toLowerCase());
+  }
+
+  /**
+   * Resolves to the canonical username when the password matches.
+   */
+  async verify(username: string, password: string): Promise<string | undefined> {
+    const user = await this.store.get<StoredUser>(USERS, username.trim().toLowerCase());
+    if (!user) {
+      // Hash anyway so response times don't reveal which usernames exist
+      await scryptAsync(password, randomBytes(16), KEY_LENGTH);
+      return undefined;
+    }
+
+    const expected = Buffer.from(user.passwordHash, "base64");
+    const actual = await scryptAsync(password, Buffer.from(user.salt, "base64"), KEY_LENGTH);
+    return timingSafeEqual(expected, actual) ? user.username : undefined;
+  }
+
+  async list(): Promise<string[]> {
+    return (await this.store.list<StoredUser>(USERS)).map(([, user]) => user.username);
+  }
+
+  async grantsFor(username: string): Promise<Grant[]> {
+    return (await this.store.list<Grant>(GRANTS))
+      .map(([, grant]) => grant)
+      .filter((grant) => grant.username === username);
+  }
+
+  async recordGrant(grant: Grant): Promise<void> {
+    await this.store.set<Grant>(GRANTS, `${grant.username}:${grant.clientId}`, grant);
+  }
+}
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+import { createInterface } from "node:readline";
+import { Writable } from "node:stream";
+import { FileAuthStore } from "../auth/store.js";
+import { UserStore } from "../auth/users.js";
+import { parseArgs } from "../config.js";
+
+const USAGE = `Usage: npm run users -- <command> [username] [--auth-store <file>]
+
+Commands:
+  add <username>      Create a user (prompts for the password, or reads it from stdin)
+  remove <username>   Delete a user
+  list                List users
+  grants <username>   Show which clients a user has approved
+
+The store file defaults to OAUTH_STORE_FILE and must be the one the server uses.`;
+
+// Reads a password without echoing it when attached to a terminal
+function readPassword(prompt: string): Promise<string> {
+  if (!process.stdin.isTTY) {
+    const rl = createInterface({ input: process.stdin });
+    return new Promise((resolve) => rl.once("line", (line) => {
+      rl.close();
+      resolve(line);
+    }));
+  }
+
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) process.stdout.write(chunk, encoding);
+      callback();
+    },
+  });
+  const rl = createInterface({ input: process.stdin, output, terminal: true });
+
+  return new Promise((resolve) => {
+    rl.question(prompt, (answer) => {
+      rl.close();
+      process.stdout.write("\n");
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+async function main(): Promise<void> {
+  const { flags, positionals } = parseArgs(process.argv.slice(2));
+  const [command, username] = positionals;
+
+  const storeFile = flags["auth-store"] || process.env.OAUTH_STORE_FILE;
+  if (!command || !storeFile) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const users = new UserStore(new FileAuthStore(storeFile));
+
+  switch (command) {
+    case "add": {
+      if (!username) throw new Error("A username is required");
+      const password = await readPassword(`Password for ${username}: `);
+      await users.create(username, password);
+      console.log(`Created user ${username.toLowerCase()}`);
+      break;
+    }
+
+    case "remove": {
+      if (!username) throw new Error("A username is required");
+      console.log((await users.remove(username)) ? `Removed user ${username}` : `No user named ${username}`);
+      break;
+    }
+
+    case "list": {
+      const names = await users.list();
+      console.log(names.length ? names.join("\n") : "No users");
+      break;
+    }
+
+    case "grants": {
+      if (!username) throw new Error("A username is required");
+      const grants = await users.grantsFor(username.toLowerCase());
+      for (const grant of grants) {
+        console.log(`${grant.clientName || grant.clientId} (${grant.clientId}): ${grant.scopes.join(" ")}, granted ${new Date(grant.grantedAt).toISOString()}`);
+      }
+      if (!grants.length) console.log("No grants");
+      break;
+    }
+
+    default:
+      console.error(USAGE);
+      process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
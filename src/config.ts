@@ -0,0 +1,164 @@
+import { DEFAULT_REDIRECT_URIS } from "./auth/redirects.js";
+import { LANGUAGE_TAG, REGION_CODE } from "./tools/locale.js";
+import { MAX_LIMIT } from "./tools/pagination.js";
+
+export type TransportMode = "stdio" | "sse" | "http";
+export type AuthMode = "none" | "oauth" | "api-key";
+
+export interface ServerConfig {
+  transport: TransportMode;
+  auth: AuthMode;
+  port: number;
+  // Reverse proxies in front of the server, whose X-Forwarded-* headers are trusted
+  trustProxy: number;
+  tmdbApiKey: string;
+  // Only needed to link users' TMDB accounts
+  tmdbReadAccessToken?: string;
+  // Overrides https://api.themoviedb.org, e.g. with the mock account API
+  tmdbBaseUrl?: string;
+  tmdbTimeoutMs: number;
+  tmdbMaxRetries: number;
+  cacheMaxEntries: number;
+  // Results per call for tools that page through lists
+  resultLimit: number;
+  cacheFile?: string;
+  // Downloaded posters and photos kept in memory, in megabytes; 0 disables
+  imageCacheMb: number;
+  // Default language for titles and overviews, e.g. "de" or "pt-BR"; TMDB uses en-US when unset
+  language?: string;
+  // Default ISO 3166-1 country for release dates, e.g. "DE"
+  region?: string;
+  // ISO 3166-1 country used for watch providers, e.g. "US"; defaults to region
+  watchRegion?: string;
+  apiKey?: string;
+  oauthRedirectUris: string[];
+  // Without a store file, OAuth clients and tokens are lost on restart
+  authStoreFile?: string;
+  // Users' watchlists and custom lists; kept in memory when unset
+  listsFile?: string;
+  // Linked TMDB accounts, including their access tokens
+  accountsFile?: string;
+}
+
+const TRANSPORTS: TransportMode[] = ["stdio", "sse", "http"];
+const AUTH_MODES: AuthMode[] = ["none", "oauth", "api-key"];
+
+/**
+ * Splits command-line arguments into flags and positional arguments. Accepts
+ * both `--flag value` and `--flag=value`.
+ */
+export function parseArgs(argv: string[]): { flags: Record<string, string>; positionals: string[] } {
+  const flags: Record<string, string> = {};
+  const positionals: string[] = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf("=");
+    if (eq !== -1) {
+      flags[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+      flags[arg.slice(2)] = argv[++i];
+    } else {
+      flags[arg.slice(2)] = "true";
+    }
+  }
+  return { flags, positionals };
+}
+
+export function parseFlags(argv: string[]): Record<string, string> {
+  return parseArgs(argv).flags;
+}
+
+function oneOf<T extends string>(name: string, value: string, allowed: T[]): T {
+  if (!allowed.includes(value as T)) {
+    throw new Error(`Invalid ${name} "${value}", expected one of: ${allowed.join(", ")}`);
+  }
+  return value as T;
+}
+
+function wholeNumber(name: string, raw: string, min: number, max?: number): number {
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || (max !== undefined && value > max)) {
+    const range = max === undefined ? `of at least ${min}` : `from ${min} to ${max}`;
+    throw new Error(`Invalid ${name} "${raw}", expected a whole number ${range}`);
+  }
+  return value;
+}
+
+function regionCode(name: string, value?: string): string | undefined {
+  if (!value) return undefined;
+  if (!REGION_CODE.test(value)) {
+    throw new Error(`Invalid ${name} "${value}", expected an ISO 3166-1 country code such as "US" or "DE"`);
+  }
+  return value.toUpperCase();
+}
+
+/**
+ * Resolves the server configuration. CLI flags win over environment variables.
+ */
+export function loadConfig(argv: string[] = process.argv.slice(2), env: NodeJS.ProcessEnv = process.env): ServerConfig {
+  const flags = parseFlags(argv);
+
+  const transport = oneOf("transport", flags.transport || env.MCP_TRANSPORT || "stdio", TRANSPORTS);
+  const auth = oneOf("auth", flags.auth || env.MCP_AUTH || "none", AUTH_MODES);
+  const port = wholeNumber("port", flags.port || env.PORT || "3000", 1, 65535);
+  const trustProxy = wholeNumber("trusted proxy count", flags["trust-proxy"] || env.TRUST_PROXY || "1", 0);
+
+  const tmdbApiKey = env.TMDB_API_KEY;
+  if (!tmdbApiKey) {
+    throw new Error("TMDB_API_KEY environment variable is required");
+  }
+
+  const apiKey = flags["api-key"] || env.MCP_API_KEY;
+  if (auth === "api-key" && !apiKey) {
+    throw new Error("MCP_API_KEY environment variable is required when --auth api-key is used");
+  }
+  const oauthRedirectUris = env.OAUTH_REDIRECT_URIS
+    ? env.OAUTH_REDIRECT_URIS.split(",").map((uri) => uri.trim()).filter(Boolean)
+    : DEFAULT_REDIRECT_URIS;
+
+  if (transport === "stdio" && auth !== "none") {
+    throw new Error("Authentication is only supported for the sse and http transports");
+  }
+
+  const tmdbTimeoutMs = wholeNumber("TMDB timeout", env.TMDB_TIMEOUT_MS || "10000", 1);
+  const tmdbMaxRetries = wholeNumber("TMDB max retries", env.TMDB_MAX_RETRIES || "3", 0);
+  const cacheMaxEntries = wholeNumber("cache size", flags["cache-size"] || env.TMDB_CACHE_MAX_ENTRIES || "500", 0);
+  const resultLimit = wholeNumber("result limit", flags["result-limit"] || env.TMDB_RESULT_LIMIT || "10", 1, MAX_LIMIT);
+  const cacheFile = flags["cache-file"] || env.TMDB_CACHE_FILE || undefined;
+  const imageCacheMb = wholeNumber("image cache size", flags["image-cache-mb"] || env.TMDB_IMAGE_CACHE_MB || "50", 0);
+  const language = flags.language || env.TMDB_LANGUAGE || undefined;
+  if (language && !LANGUAGE_TAG.test(language)) {
+    throw new Error(`Invalid language "${language}", expected an ISO 639-1 code such as "de" or "pt-BR"`);
+  }
+  const region = regionCode("region", flags.region || env.TMDB_REGION);
+  const watchRegion = regionCode("watch region", flags["watch-region"] || env.TMDB_WATCH_REGION) ?? region;
+
+  return {
+    transport,
+    auth,
+    port,
+    trustProxy,
+    tmdbApiKey,
+    tmdbReadAccessToken: env.TMDB_READ_ACCESS_TOKEN || undefined,
+    tmdbBaseUrl: env.TMDB_BASE_URL || undefined,
+    tmdbTimeoutMs,
+    tmdbMaxRetries,
+    cacheMaxEntries,
+    resultLimit,
+    cacheFile,
+    imageCacheMb,
+    language,
+    region,
+    watchRegion,
+    apiKey,
+    oauthRedirectUris,
+    authStoreFile: flags["auth-store"] || env.OAUTH_STORE_FILE || undefined,
+    listsFile: flags["lists-file"] || env.LISTS_STORE_FILE || undefined,
+    accountsFile: flags["accounts-file"] || env.TMDB_ACCOUNTS_FILE || undefined,
+  };
+}
@@ -0,0 +1,129 @@
+import type { AuthStore } from "../auth/store.js";
+
+const LISTS = "lists";
+const MAX_ENTRIES = 1000;
+const MAX_LISTS = 50;
+
+// Every user has these, even before anything is added to them
+export const BUILT_IN_LISTS = ["watchlist", "seen"] as const;
+
+export interface ListEntry {
+  // Typed content id, e.g. "movie:550"
+  id: string;
+  title: string;
+  year: string;
+  note?: string;
+  // 0-10, like TMDB's own ratings
+  rating?: number;
+  addedAt: number;
+}
+
+export interface UserList {
+  name: string;
+  owner: string;
+  entries: ListEntry[];
+  updatedAt: number;
+}
+
+export type EntryUpdate = Pick<ListEntry, "id" | "title" | "year"> & Partial<Pick<ListEntry, "note" | "rating">>;
+
+/**
+ * Normalises a list name so "My Favourites" and "my-favourites" are the
+ * same list.
+ */
+export function listKey(name: string): string {
+  const key = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  if (!key || key.length > 50) {
+    throw new Error(`Invalid list name "${name}", use 1-50 letters, digits or spaces`);
+  }
+  return key;
+}
+
+/**
+ * Per-user watchlists and custom lists. Lists are stored one record per
+ * user and list, in the same collection-based store used for OAuth data.
+ */
+export class ListStore {
+  constructor(private readonly store: AuthStore) {}
+
+  async get(owner: string, name: string): Promise<UserList> {
+    const key = listKey(name);
+    const list = await this.store.get<UserList>(LISTS, `${owner}:${key}`);
+    return list ?? { name: key, owner, entries: [], updatedAt: 0 };
+  }
+
+  async all(owner: string): Promise<UserList[]> {
+    const lists = (await this.store.list<UserList>(LISTS))
+      .map(([, list]) => list)
+      .filter((list) => list.owner === owner);
+
+    for (const name of BUILT_IN_LISTS) {
+      if (!lists.some((list) => list.name === name)) {
+        lists.push({ name, owner, entries: [], updatedAt: 0 });
+      }
+    }
+
+    return lists.sort((a, b) => listOrder(a.name) - listOrder(b.name) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Adds a title, or updates its note and rating when it is already on the
+   * list. Resolves to true when the title was newly added.
+   */
+  async add(owner: string, name: string, update: EntryUpdate): Promise<boolean> {
+    const list = await this.get(owner, name);
+    const existing = list.entries.find((entry) => entry.id === update.id);
+
+    if (existing) {
+      Object.assign(existing, definedFields(update));
+    } else {
+      if (list.entries.length >= MAX_ENTRIES) {
+        throw new Error(`The "${list.name}" list is full (${MAX_ENTRIES} titles)`);
+      }
+      if (!list.updatedAt && !isBuiltIn(list.name) && (await this.all(owner)).length >= MAX_LISTS + BUILT_IN_LISTS.length) {
+        throw new Error(`You can have at most ${MAX_LISTS} custom lists`);
+      }
+      list.entries.push({ ...definedFields(update), addedAt: Date.now() } as ListEntry);
+    }
+
+    await this.save(list);
+    return !existing;
+  }
+
+  /**
+   * Resolves to false when the title was not on the list. Custom lists are
+   * deleted once their last title is removed.
+   */
+  async remove(owner: string, name: string, id: string): Promise<boolean> {
+    const list = await this.get(owner, name);
+    const entries = list.entries.filter((entry) => entry.id !== id);
+    if (entries.length === list.entries.length) {
+      return false;
+    }
+
+    if (!entries.length && !isBuiltIn(list.name)) {
+      await this.store.delete(LISTS, `${owner}:${list.name}`);
+    } else {
+      await this.save({ ...list, entries });
+    }
+    return true;
+  }
+
+  private async save(list: UserList): Promise<void> {
+    await this.store.set<UserList>(LISTS, `${list.owner}:${list.name}`, { ...list, updatedAt: Date.now() });
+  }
+}
+
+function isBuiltIn(name: string): boolean {
+  return (BUILT_IN_LISTS as readonly string[]).includes(name);
+}
+
+function listOrder(name: string): number {
+  const index = (BUILT_IN_LISTS as readonly string[]).indexOf(name);
+  return index === -1 ? BUILT_IN_LISTS.length : index;
+}
+
+// Leaves out undefined fields so updates don't clear an existing note or rating
+function definedFields<T extends object>(value: T): Partial<T> {
+  return Object.fromEntries(Object.entries(value).filter(([, field]) => field !== undefined)) as Partial<T>;
+}
@@ -0,0 +1,184 @@
+import type { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { ErrorCode, GetPromptResult, McpError, PromptMessage } from "@modelcontextprotocol/sdk/types.js";
+import { z } from "zod";
+import { readResource, ResourceType } from "./resources.js";
+import { MovieDetails, Season, TmdbClient, TMDBResponse, TvResponse, TvShowDetails } from "./tmdb/index.js";
+import { parseContentId } from "./tools/ids.js";
+import type { ToolArgs } from "./tools/types.js";
+
+interface PromptDefinition<Shape extends z.ZodRawShape = z.ZodRawShape> {
+  name: string;
+  title: string;
+  description: string;
+  argsSchema: Shape;
+  handler: (args: ToolArgs<Shape>, tmdb: TmdbClient) => Promise<GetPromptResult>;
+}
+
+// Keeps the handler's argument types tied to its schema, like defineTool
+function definePrompt<Shape extends z.ZodRawShape>(prompt: PromptDefinition<Shape>): PromptDefinition<Shape> {
+  return prompt;
+}
+
+function text(value: string): PromptMessage {
+  return { role: "user", content: { type: "text", text: value } };
+}
+
+async function resource(tmdb: TmdbClient, type: ResourceType, id: string | number): Promise<PromptMessage> {
+  return { role: "user", content: { type: "resource", resource: await readResource(tmdb, type, String(id)) } };
+}
+
+/**
+ * Prompt arguments are typed by people, so they accept a title as well as an
+ * id such as "movie:550". Only prefixed ids count, since titles like "1917"
+ * are all digits; everything else resolves to the top search result.
+ */
+async function resolveId(tmdb: TmdbClient, type: "movie" | "tv", value: string): Promise<string> {
+  if (/^(movie|tv):\d+$/.test(value.trim())) {
+    const content = parseContentId(value);
+    if (content.type !== type) {
+      throw new McpError(ErrorCode.InvalidParams, `"${value}" is not a ${type === "tv" ? "TV series" : "movie"} id`);
+    }
+    return content.id;
+  }
+
+  const data = await tmdb.get<TMDBResponse | TvResponse>(`/search/${type}`, { query: value });
+  const match = data.results[0];
+  if (!match) {
+    throw new McpError(ErrorCode.InvalidParams, `No ${type === "tv" ? "TV series" : "movie"} found for "${value}"`);
+  }
+  return String(match.id);
+}
+
+function splitList(value?: string): string[] {
+  return value?.split(",").map((item) => item.trim()).filter(Boolean) ?? [];
+}
+
+const movieNight = definePrompt({
+  name: "movie_night",
+  title: "Plan a movie night",
+  description: "Pick a film a whole group will enjoy, grounded in titles the group already loves",
+  argsSchema: {
+    people: z.string().describe("How many people are watching"),
+    tastes: z.string().describe("What the group likes and dislikes, e.g. \"two love horror, one hates subtitles\""),
+    favorites: z.string().optional().describe("Comma-separated movies the group loves, as titles or ids such as \"movie:550\""),
+    maxRuntime: z.string().optional().describe("Longest acceptable runtime in minutes"),
+  },
+  handler: async ({ people, tastes, favorites, maxRuntime }, tmdb) => {
+    const ids = await Promise.all(splitList(favorites).slice(0, 5).map((title) => resolveId(tmdb, "movie", title)));
+
+    return {
+      description: `Movie night for ${people} people`,
+      messages: [
+        text(
+          `Plan a movie night for ${people} people. Their tastes: ${tastes}.` +
+          (maxRuntime ? ` Keep it under ${maxRuntime} minutes.` : "") +
+          (ids.length ? " The group loves the movies attached below; use them as reference points." : "") +
+          "\n\nUse the discover, get_recommendations and where_to_watch tools to find three candidates everyone can stream, " +
+          "then recommend one and explain how it fits each person's taste."
+        ),
+        ...(await Promise.all(ids.map((id) => resource(tmdb, "movie", id)))),
+      ],
+    };
+  },
+});
+
+const compareFilms = definePrompt({
+  name: "compare_films",
+  title: "Compare two films",
+  description: "Side-by-side comparison of two movies: story, craft, reception and who each is for",
+  argsSchema: {
+    first: z.string().describe("First movie, as a title or id such as \"movie:550\""),
+    second: z.string().describe("Second movie, as a title or id such as \"movie:807\""),
+  },
+  handler: async ({ first, second }, tmdb) => {
+    const [firstId, secondId] = await Promise.all([resolveId(tmdb, "movie", first), resolveId(tmdb, "movie", second)]);
+
+    return {
+      description: `Compare ${first} and ${second}`,
+      messages: [
+        text(
+          "Compare the two movies attached below. Cover their premise, tone, direction and cast, runtime, " +
+          "and how critics and audiences received them; the compare_movies tool lines up the numbers and shared cast. " +
+          "Finish with which one to watch for which mood."
+        ),
+        await resource(tmdb, "movie", firstId),
+        await resource(tmdb, "movie", secondId),
+      ],
+    };
+  },
+});
+
+const franchiseWatchOrder = definePrompt({
+  name: "franchise_watch_order",
+  title: "Explain a franchise's watch order",
+  description: "Release and story order for the film series a movie belongs to",
+  argsSchema: {
+    movie: z.string().describe("Any movie in the franchise, as a title or id, e.g. \"The Empire Strikes Back\""),
+  },
+  handler: async ({ movie }, tmdb) => {
+    const movieId = await resolveId(tmdb, "movie", movie);
+    const details = await tmdb.get<MovieDetails>(`/movie/${movieId}`);
+    if (!details.belongs_to_collection) {
+      throw new McpError(ErrorCode.InvalidParams, `${details.title} is not part of a film series on TMDB`);
+    }
+
+    return {
+      description: `Watch order for ${details.belongs_to_collection.name}`,
+      messages: [
+        text(
+          `Explain the watch order of ${details.belongs_to_collection.name}, attached below with its movies in release order. ` +
+          "Say whether release order or chronological story order is better for a first-time viewer, flag any entries " +
+          "that can be skipped, and mention unreleased entries separately."
+        ),
+        await resource(tmdb, "collection", details.belongs_to_collection.id),
+      ],
+    };
+  },
+});
+
+const seasonCatchUp = definePrompt({
+  name: "season_catch_up",
+  title: "Catch me up before the new season",
+  description: "Spoiler-aware recap of a TV series up to the season that is about to start",
+  argsSchema: {
+    show: z.string().describe("TV series, as a name or id such as \"tv:1399\""),
+    season: z.string().optional().describe("The season about to be watched; defaults to the newest season"),
+  },
+  handler: async ({ show, season }, tmdb) => {
+    const showId = await resolveId(tmdb, "tv", show);
+    const details = await tmdb.get<TvShowDetails>(`/tv/${showId}`);
+
+    const upcoming = season ? Number(season) : details.number_of_seasons ?? 1;
+    if (!Number.isInteger(upcoming) || upcoming < 1) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid season "${season}"`);
+    }
+
+    const messages = [
+      text(
+        `Catch me up on ${details.name} before I start season ${upcoming}. Recap the story so far season by season, ` +
+        `focusing on what matters going into season ${upcoming}, and don't reveal anything from season ${upcoming} or later.`
+      ),
+      await resource(tmdb, "tv", showId),
+    ];
+
+    if (upcoming > 1) {
+      const previous = await tmdb.get<Season>(`/tv/${showId}/season/${upcoming - 1}`);
+      const episodes = previous.episodes.map((episode) => `E${episode.episode_number} ${episode.name}: ${episode.overview || "No overview"}`);
+      messages.push(text(`Episode guide for ${previous.name}:\n\n${episodes.join("\n")}`));
+    }
+
+    return { description: `${details.name} catch-up before season ${upcoming}`, messages };
+  },
+});
+
+const prompts: PromptDefinition<any>[] = [movieNight, compareFilms, franchiseWatchOrder, seasonCatchUp];
+
+export function registerPrompts(server: McpServer, tmdb: TmdbClient): void {
+  for (const prompt of prompts) {
+    server.registerPrompt(
+      prompt.name,
+      { title: prompt.title, description: prompt.description, argsSchema: prompt.argsSchema },
+      (args: any) => prompt.handler(args, tmdb)
+    );
+  }
+}
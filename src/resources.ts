@@ -0,0 +1,239 @@
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import {
+  ErrorCode,
+  ListResourcesRequestSchema,
+  McpError,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import {
+  Collection,
+  getMovieDetails,
+  getShowDetails,
+  ImageKind,
+  imageUrl,
+  partsInReleaseOrder,
+  PersonResponse,
+  releaseYear,
+  TmdbClient,
+  TMDBResponse,
+  TvResponse,
+} from "./tmdb/index.js";
+import { MAX_TMDB_PAGE } from "./tools/pagination.js";
+import { getPersonDetails, knownFor } from "./tools/people.js";
+import { excerpt } from "./tools/text.js";
+
+export type ResourceType = "movie" | "tv" | "person" | "collection";
+
+interface ResourceDefinition {
+  // Lists a page of popular titles or people; collections can't be listed
+  list?: (tmdb: TmdbClient, page: number) => Promise<{ items: Array<{ id: number; name: string }>; totalPages: number }>;
+  read: (tmdb: TmdbClient, id: string) => Promise<unknown>;
+}
+
+// Subscribed resources are re-read this often, which refetches them once their cache entry expires
+const REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+
+const REVIEW_EXCERPT_LENGTH = 500;
+
+const RESOURCE_URI = /^tmdb:\/\/\/(movie|tv|person|collection)\/(\d+)$/;
+// Cache endpoints behind each resource, e.g. /movie/550
+const RESOURCE_ENDPOINT = /^\/(movie|tv|person|collection)\/(\d+)$/;
+
+const imageLink = async (tmdb: TmdbClient, kind: ImageKind, path?: string) => (path ? imageUrl(tmdb, kind, path) : undefined);
+
+const resources: Record<ResourceType, ResourceDefinition> = {
+  movie: {
+    list: async (tmdb, page) => {
+      const data = await tmdb.get<TMDBResponse>("/movie/popular", { page });
+      return {
+        items: data.results.map((movie) => ({ id: movie.id, name: `${movie.title} (${releaseYear(movie.release_date)})` })),
+        totalPages: data.total_pages,
+      };
+    },
+    read: async (tmdb, id) => {
+      const movie = await getMovieDetails(tmdb, id);
+      return {
+        title: movie.title,
+        releaseDate: movie.release_date,
+        rating: movie.vote_average,
+        overview: movie.overview,
+        genres: movie.genres?.map(g => g.name).join(", "),
+        posterUrl: (await imageLink(tmdb, "poster", movie.poster_path)) ?? "No poster available",
+        cast: movie.credits?.cast?.slice(0, 5).map(actor => `${actor.name} as ${actor.character}`),
+        director: movie.credits?.crew?.find(person => person.job === "Director")?.name,
+        // Excerpts keep the resource small; get_reviews pages through the rest
+        reviews: movie.reviews?.results?.slice(0, 3).map(review => ({
+          author: review.author,
+          excerpt: excerpt(review.content, REVIEW_EXCERPT_LENGTH),
+          rating: review.author_details?.rating ?? undefined,
+          url: review.url
+        }))
+      };
+    },
+  },
+  tv: {
+    list: async (tmdb, page) => {
+      const data = await tmdb.get<TvResponse>("/tv/popular", { page });
+      return {
+        items: data.results.map((show) => ({ id: show.id, name: `${show.name} (TV, ${releaseYear(show.first_air_date)})` })),
+        totalPages: data.total_pages,
+      };
+    },
+    read: async (tmdb, id) => {
+      const show = await getShowDetails(tmdb, id);
+      return {
+        name: show.name,
+        firstAirDate: show.first_air_date,
+        status: show.status,
+        rating: show.vote_average,
+        overview: show.overview,
+        genres: show.genres?.map((g) => g.name).join(", "),
+        networks: show.networks?.map((n) => n.name),
+        createdBy: show.created_by?.map((c) => c.name),
+        posterUrl: (await imageLink(tmdb, "poster", show.poster_path)) ?? "No poster available",
+        cast: show.credits?.cast?.slice(0, 5).map((actor) => `${actor.name} as ${actor.character}`),
+        seasons: show.seasons?.map((season) => ({
+          name: season.name,
+          episodes: season.episode_count,
+          airDate: season.air_date,
+        })),
+      };
+    },
+  },
+  person: {
+    list: async (tmdb, page) => {
+      const data = await tmdb.get<PersonResponse>("/person/popular", { page });
+      return { items: data.results.map((person) => ({ id: person.id, name: person.name })), totalPages: data.total_pages };
+    },
+    read: async (tmdb, id) => {
+      const person = await getPersonDetails(tmdb, id);
+      return {
+        name: person.name,
+        knownForDepartment: person.known_for_department,
+        birthday: person.birthday,
+        deathday: person.deathday,
+        placeOfBirth: person.place_of_birth,
+        biography: person.biography,
+        profileUrl: (await imageLink(tmdb, "profile", person.profile_path)) ?? "No photo available",
+        knownFor: knownFor(person).map((credit) => ({
+          id: `${credit.media_type}:${credit.id}`,
+          title: credit.title || credit.name,
+          year: releaseYear(credit.release_date || credit.first_air_date),
+        })),
+      };
+    },
+  },
+  collection: {
+    read: async (tmdb, id) => {
+      const collection = await tmdb.get<Collection>(`/collection/${id}`);
+      return {
+        name: collection.name,
+        overview: collection.overview,
+        posterUrl: (await imageLink(tmdb, "poster", collection.poster_path)) ?? "No poster available",
+        parts: partsInReleaseOrder(collection).map((movie) => ({
+          id: `movie:${movie.id}`,
+          title: movie.title,
+          releaseDate: movie.release_date,
+          rating: movie.vote_average,
+        })),
+      };
+    },
+  },
+};
+
+// Reads a resource as MCP text contents, e.g. for embedding it in a prompt
+export async function readResource(tmdb: TmdbClient, type: ResourceType, id: string) {
+  return {
+    uri: `tmdb:///${type}/${id}`,
+    mimeType: "application/json",
+    text: JSON.stringify(await resources[type].read(tmdb, id), null, 2),
+  };
+}
+
+/**
+ * Registers the `tmdb:///<type>/{id}` resource templates and handles
+ * resources/list and resources/subscribe. Each page of the list holds a page
+ * of popular movies, series and people; the cursor is the TMDB page number. Subscribers get notifications/resources/updated
+ * whenever a refresh of the resource's cached TMDB data changes it.
+ */
+export function registerResources(server: McpServer, tmdb: TmdbClient): void {
+  for (const [type, resource] of Object.entries(resources) as Array<[ResourceType, ResourceDefinition]>) {
+    const template = new ResourceTemplate(`tmdb:///${type}/{id}`, { list: undefined });
+    server.registerResource(type, template, { mimeType: "application/json" }, async (uri, { id }) => ({
+      contents: [{ ...(await readResource(tmdb, type, String(id))), uri: uri.href }],
+    }));
+  }
+
+  enableListing(server, tmdb);
+  enableSubscriptions(server, tmdb);
+}
+
+// McpServer lists template resources without paging, so resources/list is handled here instead
+function enableListing(server: McpServer, tmdb: TmdbClient): void {
+  server.server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+    const cursor = request.params?.cursor ?? "1";
+    const page = Number(cursor);
+    if (!Number.isInteger(page) || page < 1 || page > MAX_TMDB_PAGE) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid cursor "${cursor}"`);
+    }
+
+    const pages = await Promise.all((Object.entries(resources) as Array<[ResourceType, ResourceDefinition]>)
+      .flatMap(([type, { list }]) => (list ? [list(tmdb, page).then((result) => ({ type, ...result }))] : [])));
+    return {
+      resources: pages.flatMap(({ type, items }) => items.map((item) => ({
+        uri: `tmdb:///${type}/${item.id}`,
+        mimeType: "application/json",
+        name: item.name,
+      }))),
+      nextCursor: page < MAX_TMDB_PAGE && pages.some(({ totalPages }) => page < totalPages) ? String(page + 1) : undefined,
+    };
+  });
+}
+
+function enableSubscriptions(server: McpServer, tmdb: TmdbClient): void {
+  const subscribed = new Set<string>();
+
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    if (!RESOURCE_URI.test(request.params.uri)) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown resource ${request.params.uri}`);
+    }
+    subscribed.add(request.params.uri);
+    return {};
+  });
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscribed.delete(request.params.uri);
+    return {};
+  });
+
+  const removeListener = tmdb.cache?.onChange((_key, endpoint) => {
+    const match = RESOURCE_ENDPOINT.exec(endpoint);
+    const uri = match && `tmdb:///${match[1]}/${match[2]}`;
+    if (uri && subscribed.has(uri)) {
+      server.server.sendResourceUpdated({ uri }).catch((error) => {
+        console.error("Failed to send resource update:", error);
+      });
+    }
+  });
+
+  // Nothing refetches a resource nobody reads, so re-read subscribed ones in the background
+  const timer = setInterval(() => {
+    for (const uri of subscribed) {
+      const [, type, id] = RESOURCE_URI.exec(uri)!;
+      resources[type as ResourceType].read(tmdb, id).catch((error) => {
+        console.error(`Failed to refresh ${uri}:`, error instanceof Error ? error.message : error);
+      });
+    }
+  }, REFRESH_INTERVAL_MS);
+  timer.unref();
+
+  const onclose = server.server.onclose;
+  server.server.onclose = () => {
+    clearInterval(timer);
+    removeListener?.();
+    onclose?.();
+  };
+}
@@ -0,0 +1,27 @@
+import type { AuthInfo } from "@modelcontextprotocol/sdk/server/auth/types.js";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { registerPrompts } from "./prompts.js";
+import { registerResources } from "./resources.js";
+import { registerTools } from "./tools/index.js";
+import type { ServerContext } from "./tools/types.js";
+
+export const SERVER_NAME = "mcp-server-tmdb";
+export const SERVER_VERSION = "1.0.0";
+
+/**
+ * Builds a fully configured MCP server. HTTP transports create one per session,
+ * all sharing the same TMDB client and list store, and pass the auth of the request that
+ * opened the session so only permitted tools are listed.
+ */
+export function createServer(context: ServerContext, auth?: AuthInfo): McpServer {
+  const server = new McpServer({
+    name: SERVER_NAME,
+    version: SERVER_VERSION,
+  });
+
+  registerTools(server, context, auth);
+  registerResources(server, context.tmdb);
+  registerPrompts(server, context.tmdb);
+
+  return server;
+}
@@ -0,0 +1,212 @@
+import type { AuthStore } from "../auth/store.js";
+import type { TmdbClient } from "./client.js";
+import { TmdbError } from "./errors.js";
+
+const ACCOUNTS = "tmdb_accounts";
+const REQUESTS = "tmdb_requests";
+// TMDB request tokens stay valid for 15 minutes
+const REQUEST_TTL_MS = 15 * 60 * 1000;
+
+const APPROVAL_URL = "https://www.themoviedb.org/auth/access";
+
+export type AccountMediaType = "movie" | "tv";
+export type AccountListKind = "rated" | "favorites" | "watchlist";
+
+export interface LinkedAccount {
+  // v4 user access token and account object id
+  accessToken: string;
+  accountObjectId: string;
+  // v3 session and numeric account id, needed by the write endpoints
+  sessionId: string;
+  accountId: number;
+  username: string;
+  linkedAt: number;
+}
+
+export interface AccountListItem {
+  id: number;
+  title?: string;
+  name?: string;
+  release_date?: string;
+  first_air_date?: string;
+  vote_average: number;
+  account_rating?: { value: number; created_at?: string };
+}
+
+export interface AccountListResponse {
+  page: number;
+  results: AccountListItem[];
+  total_pages: number;
+  total_results: number;
+}
+
+export type LinkResult =
+  | { status: "linked"; account: LinkedAccount }
+  | { status: "pending"; approvalUrl: string };
+
+/**
+ * Links local users to their TMDB accounts with the v4 read/write access
+ * token flow: the user approves a request token on themoviedb.org, which is
+ * then exchanged for an access token and a v3 session. Linked accounts are
+ * stored per local user.
+ */
+export class TmdbAccounts {
+  constructor(
+    private readonly tmdb: TmdbClient,
+    private readonly store: AuthStore,
+    // The app's "API Read Access Token", which the v4 auth endpoints require
+    private readonly readAccessToken?: string
+  ) {}
+
+  get(owner: string): Promise<LinkedAccount | undefined> {
+    return this.store.get<LinkedAccount>(ACCOUNTS, owner);
+  }
+
+  /**
+   * Finishes a pending link once the user has approved it, or starts a new
+   * one and returns the URL the user has to approve.
+   */
+  async link(owner: string): Promise<LinkResult> {
+    const linked = await this.get(owner);
+    if (linked) {
+      return { status: "linked", account: linked };
+    }
+
+    const pending = await this.store.get<string>(REQUESTS, owner);
+    if (pending) {
+      const account = await this.exchange(pending);
+      if (account) {
+        await this.store.delete(REQUESTS, owner);
+        await this.store.set<LinkedAccount>(ACCOUNTS, owner, account);
+        return { status: "linked", account };
+      }
+      return { status: "pending", approvalUrl: approvalUrl(pending) };
+    }
+
+    const { request_token } = await this.tmdb.send<{ request_token: string }>("/auth/request_token", {
+      method: "POST",
+      version: 4,
+      accessToken: this.requireReadAccessToken(),
+      body: {},
+    });
+    await this.store.set(REQUESTS, owner, request_token, Date.now() + REQUEST_TTL_MS);
+    return { status: "pending", approvalUrl: approvalUrl(request_token) };
+  }
+
+  /**
+   * Forgets the account and revokes its tokens on TMDB. Resolves to false
+   * when no account was linked.
+   */
+  async unlink(owner: string): Promise<boolean> {
+    const account = await this.get(owner);
+    await this.store.delete(REQUESTS, owner);
+    if (!account) {
+      return false;
+    }
+
+    await this.store.delete(ACCOUNTS, owner);
+    try {
+      await this.tmdb.send("/auth/access_token", {
+        method: "DELETE",
+        version: 4,
+        accessToken: this.requireReadAccessToken(),
+        body: { access_token: account.accessToken },
+      });
+    } catch (error) {
+      // The local link is gone either way; the token can also be revoked on themoviedb.org
+      console.warn("Could not revoke TMDB access token:", error instanceof Error ? error.message : error);
+    }
+    return true;
+  }
+
+  // Resolves to undefined while the request token has not been approved
+  private async exchange(requestToken: string): Promise<LinkedAccount | undefined> {
+    let access: { access_token: string; account_id: string };
+    try {
+      access = await this.tmdb.send("/auth/access_token", {
+        method: "POST",
+        version: 4,
+        accessToken: this.requireReadAccessToken(),
+        body: { request_token: requestToken },
+      });
+    } catch (error) {
+      if (error instanceof TmdbError && error.status !== undefined && error.status < 500) {
+        return undefined;
+      }
+      throw error;
+    }
+
+    const { session_id } = await this.tmdb.send<{ session_id: string }>("/authentication/session/convert/4", {
+      method: "POST",
+      body: { access_token: access.access_token },
+    });
+    const details = await this.tmdb.send<{ id: number; username: string }>("/account", { params: { session_id } });
+
+    return {
+      accessToken: access.access_token,
+      accountObjectId: access.account_id,
+      sessionId: session_id,
+      accountId: details.id,
+      username: details.username,
+      linkedAt: Date.now(),
+    };
+  }
+
+  private requireReadAccessToken(): string {
+    if (!this.readAccessToken) {
+      throw new Error("TMDB account linking is not configured: set TMDB_READ_ACCESS_TOKEN to the app's API Read Access Token");
+    }
+    return this.readAccessToken;
+  }
+}
+
+function approvalUrl(requestToken: string): string {
+  return `${APPROVAL_URL}?request_token=${encodeURIComponent(requestToken)}`;
+}
+
+/**
+ * Rates a title from 0.5 to 10 in steps of 0.5, or removes the rating when
+ * `value` is undefined.
+ */
+export async function rateTitle(
+  tmdb: TmdbClient,
+  account: LinkedAccount,
+  mediaType: AccountMediaType,
+  id: string,
+  value?: number
+): Promise<void> {
+  await tmdb.send(`/${mediaType}/${id}/rating`, {
+    method: value === undefined ? "DELETE" : "POST",
+    params: { session_id: account.sessionId },
+    body: value === undefined ? undefined : { value },
+  });
+}
+
+export async function setAccountFlag(
+  tmdb: TmdbClient,
+  account: LinkedAccount,
+  list: "favorite" | "watchlist",
+  mediaType: AccountMediaType,
+  id: string,
+  enabled: boolean
+): Promise<void> {
+  await tmdb.send(`/account/${account.accountId}/${list}`, {
+    method: "POST",
+    params: { session_id: account.sessionId },
+    body: { media_type: mediaType, media_id: Number(id), [list]: enabled },
+  });
+}
+
+export function getAccountList(
+  tmdb: TmdbClient,
+  account: LinkedAccount,
+  kind: AccountListKind,
+  mediaType: AccountMediaType,
+  page = 1
+): Promise<AccountListResponse> {
+  return tmdb.send<AccountListResponse>(`/account/${account.accountObjectId}/${mediaType}/${kind}`, {
+    version: 4,
+    accessToken: account.accessToken,
+    params: { page },
+  });
+}
@@ -0,0 +1,184 @@
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { dirname } from "node:path";
+
+export interface CacheEntry {
+  value: unknown;
+  expiresAt: number;
+}
+
+export interface CacheStats {
+  hits: number;
+  misses: number;
+  evictions: number;
+  size: number;
+  maxEntries: number;
+  hitRate: number;
+}
+
+export interface TtlRule {
+  pattern: RegExp;
+  ttlMs: number;
+}
+
+const MINUTE = 60_000;
+const HOUR = 60 * MINUTE;
+
+// First match wins; a ttl of 0 means the endpoint is never cached
+export const DEFAULT_TTL_RULES: TtlRule[] = [
+  { pattern: /^\/trending\//, ttlMs: 10 * MINUTE },
+  { pattern: /^\/search\//, ttlMs: 30 * MINUTE },
+  { pattern: /^\/discover\//, ttlMs: 30 * MINUTE },
+  { pattern: /^\/(movie|tv)\/(popular|now_playing|upcoming|top_rated|airing_today|on_the_air)/, ttlMs: HOUR },
+  { pattern: /^\/(movie|tv|person|collection)\/\d+\/(recommendations|similar)/, ttlMs: 6 * HOUR },
+  { pattern: /^\/(movie|tv|person|collection)\/\d+/, ttlMs: 24 * HOUR },
+  { pattern: /^\/(configuration|genre)\b/, ttlMs: 24 * HOUR },
+];
+
+const DEFAULT_TTL_MS = HOUR;
+
+// Called when a refreshed response differs from the one it replaced
+export type CacheChangeListener = (key: string, endpoint: string) => void;
+
+/**
+ * Persists cache entries as a single JSON file so they survive restarts.
+ * Writes are batched and happen at most once per `flushDelayMs`.
+ */
+export class FileCacheStore {
+  private timer?: NodeJS.Timeout;
+
+  constructor(readonly path: string, private readonly flushDelayMs = 5_000) {}
+
+  load(): Array<[string, CacheEntry]> {
+    try {
+      return JSON.parse(readFileSync(this.path, "utf8")) as Array<[string, CacheEntry]>;
+    } catch {
+      return [];
+    }
+  }
+
+  scheduleSave(snapshot: () => Array<[string, CacheEntry]>): void {
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = undefined;
+      this.save(snapshot());
+    }, this.flushDelayMs);
+    this.timer.unref();
+  }
+
+  save(entries: Array<[string, CacheEntry]>): void {
+    try {
+      mkdirSync(dirname(this.path), { recursive: true });
+      const tmp = `${this.path}.tmp`;
+      writeFileSync(tmp, JSON.stringify(entries));
+      renameSync(tmp, this.path);
+    } catch (error) {
+      console.error("Failed to write TMDB cache file:", error);
+    }
+  }
+}
+
+export interface ResponseCacheOptions {
+  maxEntries?: number;
+  ttlRules?: TtlRule[];
+  defaultTtlMs?: number;
+  store?: FileCacheStore;
+}
+
+/**
+ * LRU cache for TMDB responses with per-endpoint TTLs. Relies on Map keeping
+ * insertion order: the first key is always the least recently used one.
+ * Expired entries are kept until they are replaced or evicted, so a refresh
+ * can tell whether the data changed.
+ */
+export class ResponseCache {
+  private readonly entries = new Map<string, CacheEntry>();
+  private readonly maxEntries: number;
+  private readonly ttlRules: TtlRule[];
+  private readonly defaultTtlMs: number;
+  private readonly store?: FileCacheStore;
+  private readonly listeners = new Set<CacheChangeListener>();
+  private hits = 0;
+  private misses = 0;
+  private evictions = 0;
+
+  constructor(options: ResponseCacheOptions = {}) {
+    this.maxEntries = options.maxEntries ?? 500;
+    this.ttlRules = options.ttlRules ?? DEFAULT_TTL_RULES;
+    this.defaultTtlMs = options.defaultTtlMs ?? DEFAULT_TTL_MS;
+    this.store = options.store;
+
+    const now = Date.now();
+    for (const [key, entry] of this.store?.load() ?? []) {
+      if (entry.expiresAt > now) this.entries.set(key, entry);
+    }
+    this.evict();
+  }
+
+  ttlFor(endpoint: string): number {
+    return this.ttlRules.find((rule) => rule.pattern.test(endpoint))?.ttlMs ?? this.defaultTtlMs;
+  }
+
+  get<T>(key: string): T | undefined {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      this.misses++;
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value as T;
+  }
+
+  set(key: string, endpoint: string, value: unknown): void {
+    const ttl = this.ttlFor(endpoint);
+    if (ttl <= 0 || this.maxEntries <= 0) return;
+
+    const previous = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+    this.evict();
+    this.store?.scheduleSave(() => [...this.entries]);
+
+    if (previous && JSON.stringify(previous.value) !== JSON.stringify(value)) {
+      for (const listener of this.listeners) listener(key, endpoint);
+    }
+  }
+
+  // Returns a function that removes the listener again
+  onChange(listener: CacheChangeListener): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Writes pending entries immediately, e.g. on shutdown
+  flush(): void {
+    this.store?.save([...this.entries]);
+  }
+
+  clear(): void {
+    this.entries.clear();
+    this.store?.save([]);
+  }
+
+  stats(): CacheStats {
+    const lookups = this.hits + this.misses;
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      hitRate: lookups === 0 ? 0 : this.hits / lookups,
+    };
+  }
+
+  private evict(): void {
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value as string;
+      this.entries.delete(oldest);
+      this.evictions++;
+    }
+  }
+}
@@ -0,0 +1,237 @@
+import fetch, { Headers } from "node-fetch";
+import type { ResponseCache } from "./cache.js";
+import {
+  TmdbApiError,
+  TmdbAuthError,
+  TmdbError,
+  TmdbNetworkError,
+  TmdbNotFoundError,
+  TmdbRateLimitError,
+  TmdbTimeoutError,
+} from "./errors.js";
+
+export interface TmdbLocale {
+  // ISO 639-1 language, optionally with a country, e.g. "de" or "pt-BR"
+  language?: string;
+  // ISO 3166-1 country for release dates, e.g. "DE"
+  region?: string;
+}
+
+export interface TmdbClientOptions {
+  apiKey: string;
+  // API root without the version, e.g. a local mock of TMDB
+  baseUrl?: string;
+  timeoutMs?: number;
+  maxRetries?: number;
+  retryBaseDelayMs?: number;
+  // Longest Retry-After we are willing to sleep through before giving up
+  maxRetryAfterMs?: number;
+  cache?: ResponseCache;
+  // Sent with every read unless a request sets its own
+  locale?: TmdbLocale;
+}
+
+export type TmdbParams = Record<string, string | number | boolean | undefined>;
+
+export interface TmdbRequestOptions {
+  method?: "GET" | "POST" | "DELETE";
+  params?: TmdbParams;
+  body?: unknown;
+  // Sent as a bearer token in place of the api_key parameter
+  accessToken?: string;
+  version?: 3 | 4;
+}
+
+const DEFAULT_BASE_URL = "https://api.themoviedb.org";
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function parseRetryAfter(header: string | null): number | undefined {
+  if (!header) return undefined;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+function toQuery(params: TmdbParams): URLSearchParams {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params).sort(([a], [b]) => a.localeCompare(b))) {
+    if (value !== undefined) query.append(key, String(value));
+  }
+  return query;
+}
+
+// A response whose body has been read in full, within the request timeout
+interface TmdbResponse {
+  ok: boolean;
+  status: number;
+  statusText: string;
+  headers: Headers;
+  body: string;
+}
+
+function statusMessage(response: TmdbResponse): string {
+  try {
+    const body = JSON.parse(response.body) as { status_message?: string };
+    return body.status_message || response.statusText;
+  } catch {
+    return response.statusText;
+  }
+}
+
+/**
+ * The one place that talks to api.themoviedb.org. Requests time out, 5xx and
+ * network failures of GET and DELETE requests are retried with exponential
+ * backoff, 429s wait for Retry-After, and failures surface as `TmdbError` subclasses. Successful
+ * responses are served from the optional cache until their TTL runs out.
+ */
+export class TmdbClient {
+  private readonly baseUrl: string;
+  private readonly timeoutMs: number;
+  private readonly maxRetries: number;
+  private readonly retryBaseDelayMs: number;
+  private readonly maxRetryAfterMs: number;
+  readonly cache?: ResponseCache;
+  readonly locale: TmdbLocale;
+
+  constructor(private readonly options: TmdbClientOptions) {
+    this.baseUrl = options.baseUrl ?? DEFAULT_BASE_URL;
+    this.timeoutMs = options.timeoutMs ?? 10_000;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryBaseDelayMs = options.retryBaseDelayMs ?? 500;
+    this.maxRetryAfterMs = options.maxRetryAfterMs ?? 30_000;
+    this.cache = options.cache;
+    this.locale = options.locale ?? {};
+  }
+
+  /**
+   * A client sharing this one's settings and cache whose reads use another
+   * language or region. Fields left unset keep this client's locale.
+   */
+  withLocale(locale: TmdbLocale): TmdbClient {
+    return new TmdbClient({
+      ...this.options,
+      locale: {
+        language: locale.language ?? this.locale.language,
+        region: locale.region?.toUpperCase() ?? this.locale.region,
+      },
+    });
+  }
+
+  async get<T>(endpoint: string, params: TmdbParams = {}): Promise<T> {
+    const query = toQuery({ ...this.localeParams(), ...params });
+
+    const cacheKey = `${endpoint}?${query}`;
+    const cached = this.cache?.get<T>(cacheKey);
+    if (cached !== undefined) return cached;
+
+    const data = await this.request<T>(endpoint, query, {});
+    this.cache?.set(cacheKey, endpoint, data);
+    return data;
+  }
+
+  /**
+   * Uncached request for anything beyond public reads: writes, the v4 auth
+   * flow and data that belongs to a TMDB user.
+   */
+  async send<T>(endpoint: string, options: TmdbRequestOptions = {}): Promise<T> {
+    const locale = (options.method ?? "GET") === "GET" ? this.localeParams() : {};
+    return this.request<T>(endpoint, toQuery({ ...locale, ...options.params }), options);
+  }
+
+  private localeParams(): TmdbParams {
+    return { language: this.locale.language, region: this.locale.region };
+  }
+
+  private async request<T>(endpoint: string, query: URLSearchParams, options: TmdbRequestOptions): Promise<T> {
+    const url = new URL(`${this.baseUrl}/${options.version ?? 3}${endpoint}`);
+    url.search = query.toString();
+    if (!options.accessToken) {
+      url.searchParams.append("api_key", this.options.apiKey);
+    }
+
+    // A POST may have taken effect before its response was lost, and some, such as exchanging a
+    // single-use request token, can't be repeated. 429s were never processed, so any method waits those out
+    const idempotent = options.method !== "POST";
+    for (let attempt = 0; ; attempt++) {
+      const canRetry = attempt < this.maxRetries;
+      const backoff = this.retryBaseDelayMs * 2 ** attempt * (0.5 + Math.random() / 2);
+
+      let response: TmdbResponse;
+      try {
+        response = await this.fetch(url, endpoint, options);
+      } catch (error) {
+        if (!canRetry || !idempotent) throw error;
+        await sleep(backoff);
+        continue;
+      }
+
+      if (response.ok) {
+        return JSON.parse(response.body) as T;
+      }
+
+      if (response.status === 429) {
+        const retryAfterMs = parseRetryAfter(response.headers.get("retry-after"));
+        const wait = retryAfterMs ?? backoff;
+        if (!canRetry || wait > this.maxRetryAfterMs) {
+          throw new TmdbRateLimitError(`TMDB rate limit exceeded for ${endpoint}`, endpoint, retryAfterMs);
+        }
+        await sleep(wait);
+        continue;
+      }
+
+      if (response.status >= 500 && canRetry && idempotent) {
+        await sleep(backoff);
+        continue;
+      }
+
+      throw this.toError(response, endpoint, options);
+    }
+  }
+
+  // The timeout covers reading the body too, so a server that stalls mid-response can't hang a request
+  private async fetch(url: URL, endpoint: string, options: TmdbRequestOptions): Promise<TmdbResponse> {
+    const headers: Record<string, string> = { Accept: "application/json" };
+    if (options.accessToken) headers.Authorization = `Bearer ${options.accessToken}`;
+    if (options.body !== undefined) headers["Content-Type"] = "application/json;charset=utf-8";
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    try {
+      const response = await fetch(url.toString(), {
+        method: options.method ?? "GET",
+        headers,
+        body: options.body === undefined ? undefined : JSON.stringify(options.body),
+        signal: controller.signal,
+      });
+      return {
+        ok: response.ok,
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+        body: await response.text(),
+      };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new TmdbTimeoutError(`TMDB request to ${endpoint} timed out after ${this.timeoutMs}ms`, endpoint);
+      }
+      const reason = error instanceof Error ? error.message : String(error);
+      throw new TmdbNetworkError(`TMDB request to ${endpoint} failed: ${reason}`, endpoint);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  private toError(response: TmdbResponse, endpoint: string, options: TmdbRequestOptions): TmdbError {
+    const message = statusMessage(response);
+    switch (response.status) {
+      case 401:
+        return new TmdbAuthError(`TMDB rejected the ${options.accessToken ? "access token" : "API key"}: ${message}`, endpoint, 401);
+      case 404:
+        return new TmdbNotFoundError(`TMDB resource not found: ${endpoint}`, endpoint, 404);
+      default:
+        return new TmdbApiError(`TMDB API error (${response.status}) for ${endpoint}: ${message}`, endpoint, response.status);
+    }
+  }
+}
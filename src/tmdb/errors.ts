@@ -0,0 +1,27 @@
+/**
+ * Base class for everything the TMDB client throws. `status` is the HTTP
+ * status when TMDB answered, and undefined for timeouts and network failures.
+ */
+export class TmdbError extends Error {
+  constructor(message: string, readonly endpoint: string, readonly status?: number) {
+    super(message);
+    this.name = new.target.name;
+  }
+}
+
+export class TmdbAuthError extends TmdbError {}
+
+export class TmdbNotFoundError extends TmdbError {}
+
+export class TmdbRateLimitError extends TmdbError {
+  constructor(message: string, endpoint: string, readonly retryAfterMs?: number) {
+    super(message, endpoint, 429);
+  }
+}
+
+export class TmdbTimeoutError extends TmdbError {}
+
+export class TmdbNetworkError extends TmdbError {}
+
+// Any other non-2xx response, including 5xx that survived every retry
+export class TmdbApiError extends TmdbError {}
@@ -0,0 +1,51 @@
+import type { TmdbClient } from "./client.js";
+
+export type MediaType = "movie" | "tv";
+
+interface GenreList {
+  genres: Array<{ id: number; name: string }>;
+}
+
+// Common spellings that don't match TMDB's genre names verbatim
+const ALIASES: Record<string, string> = {
+  "sci-fi": "science fiction",
+  scifi: "science fiction",
+  romcom: "romance",
+  doc: "documentary",
+  animated: "animation",
+  kids: "family",
+};
+
+function candidates(name: string): string[] {
+  const key = name.trim().toLowerCase();
+  return ALIASES[key] ? [key, ALIASES[key]] : [key];
+}
+
+/**
+ * Maps genre names (or numeric ids) to TMDB genre ids for the given media
+ * type. Names may be in the client's language or in English. The genre lists
+ * come through the client, so they are cached.
+ */
+export async function resolveGenreIds(tmdb: TmdbClient, mediaType: MediaType, genres: string[]): Promise<number[]> {
+  if (genres.length === 0) return [];
+
+  const localized = tmdb.locale.language && !tmdb.locale.language.startsWith("en");
+  const [{ genres: native }, english] = await Promise.all([
+    tmdb.get<GenreList>(`/genre/${mediaType}/list`),
+    localized ? tmdb.get<GenreList>(`/genre/${mediaType}/list`, { language: "en-US" }) : undefined,
+  ]);
+  const known = [...native, ...(english?.genres ?? [])];
+  const byName = new Map(known.map((genre) => [genre.name.toLowerCase(), genre.id]));
+
+  return genres.map((genre) => {
+    if (/^\d+$/.test(genre.trim())) return Number(genre);
+
+    const names = candidates(genre);
+    const id = names.map((name) => byName.get(name)).find((match) => match !== undefined)
+      ?? known.find((candidate) => names.some((name) => candidate.name.toLowerCase().includes(name)))?.id;
+    if (id === undefined) {
+      throw new Error(`Unknown ${mediaType} genre "${genre}". Available genres: ${native.map((g) => g.name).join(", ")}`);
+    }
+    return id;
+  });
+}
@@ -0,0 +1,149 @@
+import fetch from "node-fetch";
+import type { TmdbClient } from "./client.js";
+import { TmdbApiError, TmdbNetworkError, TmdbTimeoutError } from "./errors.js";
+
+export type ImageKind = "poster" | "backdrop" | "profile";
+
+export interface ImageConfiguration {
+  images: {
+    secure_base_url: string;
+    poster_sizes: string[];
+    backdrop_sizes: string[];
+    profile_sizes: string[];
+  };
+}
+
+export interface TmdbImage {
+  file_path: string;
+  width: number;
+  height: number;
+  iso_639_1: string | null;
+  vote_average: number;
+}
+
+export interface ImagesResponse {
+  posters?: TmdbImage[];
+  backdrops?: TmdbImage[];
+  profiles?: TmdbImage[];
+}
+
+export interface ImageData {
+  // Base64, as MCP image content expects
+  data: string;
+  mimeType: string;
+}
+
+// Used when TMDB offers them; large enough to read, small enough to send inline
+const PREFERRED_SIZES: Record<ImageKind, string> = {
+  poster: "w500",
+  backdrop: "w780",
+  profile: "h632",
+};
+
+const MIME_TYPES: Record<string, string> = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  svg: "image/svg+xml",
+};
+
+export async function getImageConfiguration(tmdb: TmdbClient): Promise<ImageConfiguration> {
+  return tmdb.get<ImageConfiguration>("/configuration");
+}
+
+/**
+ * Checks `size` against the sizes TMDB offers for the kind of image, or picks
+ * a default when it is omitted.
+ */
+export function imageSize(configuration: ImageConfiguration, kind: ImageKind, size?: string): string {
+  const sizes = configuration.images[`${kind}_sizes`];
+  if (size) {
+    if (!sizes.includes(size)) {
+      throw new Error(`Invalid ${kind} size "${size}", TMDB offers: ${sizes.join(", ")}`);
+    }
+    return size;
+  }
+  return sizes.includes(PREFERRED_SIZES[kind]) ? PREFERRED_SIZES[kind] : sizes[sizes.length - 1] ?? "original";
+}
+
+export async function imageUrl(tmdb: TmdbClient, kind: ImageKind, path: string, size?: string): Promise<string> {
+  const configuration = await getImageConfiguration(tmdb);
+  return `${configuration.images.secure_base_url}${imageSize(configuration, kind, size)}${path}`;
+}
+
+export interface ImageCacheOptions {
+  // Total size of the cached images; 0 disables caching
+  maxBytes?: number;
+  timeoutMs?: number;
+}
+
+/**
+ * Downloads images from TMDB's image CDN and keeps the most recently used ones
+ * in memory, up to `maxBytes` in total. Image files never change, so entries
+ * don't expire.
+ */
+export class ImageCache {
+  private readonly entries = new Map<string, ImageData>();
+  private readonly maxBytes: number;
+  private readonly timeoutMs: number;
+  private bytes = 0;
+
+  constructor(options: ImageCacheOptions = {}) {
+    this.maxBytes = options.maxBytes ?? 50 * 1024 * 1024;
+    this.timeoutMs = options.timeoutMs ?? 10_000;
+  }
+
+  async get(url: string): Promise<ImageData> {
+    const cached = this.entries.get(url);
+    if (cached) {
+      this.entries.delete(url);
+      this.entries.set(url, cached);
+      return cached;
+    }
+
+    const image = await this.download(url);
+    this.set(url, image);
+    return image;
+  }
+
+  private set(url: string, image: ImageData): void {
+    // The base64 text is what stays in memory, so that is what counts
+    const size = image.data.length;
+    if (size > this.maxBytes) return;
+
+    this.entries.set(url, image);
+    this.bytes += size;
+    while (this.bytes > this.maxBytes) {
+      const [oldest, entry] = this.entries.entries().next().value as [string, ImageData];
+      this.entries.delete(oldest);
+      this.bytes -= entry.data.length;
+    }
+  }
+
+  private async download(url: string): Promise<ImageData> {
+    const path = new URL(url).pathname;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      if (!response.ok) {
+        throw new TmdbApiError(`TMDB image download failed (${response.status}) for ${path}`, path, response.status);
+      }
+
+      const extension = path.split(".").pop()?.toLowerCase() ?? "";
+      return {
+        data: Buffer.from(await response.arrayBuffer()).toString("base64"),
+        mimeType: response.headers.get("content-type")?.split(";")[0] || MIME_TYPES[extension] || "image/jpeg",
+      };
+    } catch (error) {
+      if (error instanceof TmdbApiError) throw error;
+      if (controller.signal.aborted) {
+        throw new TmdbTimeoutError(`TMDB image download for ${path} timed out after ${this.timeoutMs}ms`, path);
+      }
+      const reason = error instanceof Error ? error.message : String(error);
+      throw new TmdbNetworkError(`TMDB image download for ${path} failed: ${reason}`, path);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
@@ -0,0 +1,34 @@
+import type { TmdbClient } from "./client.js";
+import { detailsAppend, fillUntranslated, regionalReleaseDate } from "./locale.js";
+import type { Collection, Movie, MovieDetails, TvShowDetails } from "./types.js";
+
+export * from "./account.js";
+export * from "./cache.js";
+export * from "./client.js";
+export * from "./errors.js";
+export * from "./genres.js";
+export * from "./images.js";
+export * from "./locale.js";
+export * from "./providers.js";
+export * from "./types.js";
+
+// Movie details in the client's language, dated for its region when it has one
+export async function getMovieDetails(tmdb: TmdbClient, movieId: string): Promise<MovieDetails> {
+  const { region } = tmdb.locale;
+  const append = region ? ["credits", "reviews", "release_dates"] : ["credits", "reviews"];
+  const movie = fillUntranslated(await tmdb.get<MovieDetails>(`/movie/${movieId}`, { append_to_response: detailsAppend(tmdb, ...append) }));
+  return { ...movie, release_date: (region && regionalReleaseDate(movie, region)) || movie.release_date };
+}
+
+export async function getShowDetails(tmdb: TmdbClient, tvId: string): Promise<TvShowDetails> {
+  return fillUntranslated(await tmdb.get<TvShowDetails>(`/tv/${tvId}`, { append_to_response: detailsAppend(tmdb, "credits") }));
+}
+
+export function releaseYear(date?: string): string {
+  return date?.split("-")[0] || "Unknown";
+}
+
+// TMDB returns a collection's movies in no particular order; this sorts them by release, unreleased titles last
+export function partsInReleaseOrder(collection: Collection): Movie[] {
+  return [...collection.parts].sort((a, b) => (a.release_date || "9999").localeCompare(b.release_date || "9999"));
+}
@@ -0,0 +1,49 @@
+import type { TmdbClient } from "./client.js";
+import type { MovieDetails, Translations } from "./types.js";
+
+type Localizable = Translations & {
+  title?: string;
+  original_title?: string;
+  name?: string;
+  original_name?: string;
+  original_language?: string;
+  overview?: string;
+  biography?: string;
+};
+
+/**
+ * append_to_response for a details request. When the client asks for a
+ * language, translations come along so `fillUntranslated` can fill gaps.
+ */
+export function detailsAppend(tmdb: TmdbClient, ...append: string[]): string {
+  return (tmdb.locale.language ? [...append, "translations"] : append).join(",");
+}
+
+/**
+ * TMDB leaves a text field empty when it has no translation in the requested
+ * language. Fills those from the title's original language, then English.
+ */
+export function fillUntranslated<T extends Localizable>(details: T): T {
+  const translations = details.translations?.translations ?? [];
+  const fallback = (field: "overview" | "biography") =>
+    translations.find((item) => item.iso_639_1 === details.original_language && item.data[field])?.data[field] ||
+    translations.find((item) => item.iso_639_1 === "en" && item.data[field])?.data[field];
+
+  return {
+    ...details,
+    title: details.title || details.original_title,
+    name: details.name || details.original_name,
+    overview: details.overview || fallback("overview") || details.overview,
+    biography: details.biography || fallback("biography") || details.biography,
+  };
+}
+
+/**
+ * The movie's release date in a region, preferring its theatrical release,
+ * or undefined when TMDB has none for the region.
+ */
+export function regionalReleaseDate(movie: MovieDetails, region: string): string | undefined {
+  const dates = movie.release_dates?.results.find((item) => item.iso_3166_1 === region)?.release_dates ?? [];
+  const release = dates.find((date) => date.type === 3) ?? [...dates].sort((a, b) => a.release_date.localeCompare(b.release_date))[0];
+  return release?.release_date.slice(0, 10);
+}
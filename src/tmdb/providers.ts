@@ -0,0 +1,98 @@
+import type { TmdbClient } from "./client.js";
+import type { MediaType } from "./genres.js";
+
+export interface WatchProvider {
+  provider_id: number;
+  provider_name: string;
+  display_priority: number;
+  logo_path?: string;
+}
+
+export interface RegionProviders {
+  link?: string;
+  flatrate?: WatchProvider[];
+  rent?: WatchProvider[];
+  buy?: WatchProvider[];
+  free?: WatchProvider[];
+  ads?: WatchProvider[];
+}
+
+interface WatchProvidersResponse {
+  id: number;
+  results: Record<string, RegionProviders>;
+}
+
+interface ProviderList {
+  results: WatchProvider[];
+}
+
+export const PROVIDER_KINDS = ["flatrate", "free", "ads", "rent", "buy"] as const;
+
+const KIND_LABELS: Record<(typeof PROVIDER_KINDS)[number], string> = {
+  flatrate: "Stream",
+  free: "Free",
+  ads: "Free with ads",
+  rent: "Rent",
+  buy: "Buy",
+};
+
+/**
+ * Where a title can be watched in one region, or undefined when TMDB has no
+ * provider data for that region.
+ */
+export async function getWatchProviders(
+  tmdb: TmdbClient,
+  mediaType: MediaType,
+  id: string,
+  region: string
+): Promise<RegionProviders | undefined> {
+  const data = await tmdb.get<WatchProvidersResponse>(`/${mediaType}/${id}/watch/providers`);
+  return data.results[region.toUpperCase()];
+}
+
+export function formatWatchProviders(providers: RegionProviders | undefined, region: string): string {
+  if (!providers) {
+    return `No watch providers listed for region ${region}.`;
+  }
+
+  const lines = PROVIDER_KINDS
+    .filter((kind) => providers[kind]?.length)
+    .map((kind) => {
+      const names = [...providers[kind]!]
+        .sort((a, b) => a.display_priority - b.display_priority)
+        .map((provider) => provider.provider_name);
+      return `${KIND_LABELS[kind]}: ${names.join(", ")}`;
+    });
+
+  if (providers.link) lines.push(`More options: ${providers.link}`);
+  return lines.length ? lines.join("\n") : `No watch providers listed for region ${region}.`;
+}
+
+/**
+ * Maps provider names (e.g. "Netflix") or numeric ids to TMDB provider ids
+ * available in the given region.
+ */
+export async function resolveProviderIds(
+  tmdb: TmdbClient,
+  mediaType: MediaType,
+  region: string,
+  providers: string[]
+): Promise<number[]> {
+  if (providers.length === 0) return [];
+
+  const { results: known } = await tmdb.get<ProviderList>(`/watch/providers/${mediaType}`, {
+    watch_region: region.toUpperCase(),
+  });
+
+  return providers.map((provider) => {
+    if (/^\d+$/.test(provider.trim())) return Number(provider);
+
+    const name = provider.trim().toLowerCase();
+    const match = known.find((candidate) => candidate.provider_name.toLowerCase() === name)
+      ?? known.find((candidate) => candidate.provider_name.toLowerCase().includes(name));
+    if (!match) {
+      throw new Error(`Unknown watch provider "${provider}" in region ${region.toUpperCase()}`);
+    }
+    return match.provider_id;
+  });
+}
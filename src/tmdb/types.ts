@@ -0,0 +1,219 @@
+// Type definitions
+export interface Movie {
+  id: number;
+  title: string;
+  original_title?: string;
+  original_language?: string;
+  release_date: string;
+  vote_average: number;
+  vote_count?: number;
+  overview: string;
+  popularity?: number;
+  poster_path?: string;
+  genres?: Array<{ id: number; name: string }>;
+}
+
+export interface TMDBResponse {
+  page: number;
+  results: Movie[];
+  total_pages: number;
+  total_results: number;
+}
+
+// Appended to details requests with append_to_response=translations
+export interface Translations {
+  translations?: {
+    translations: Array<{
+      iso_639_1: string;
+      iso_3166_1: string;
+      data: { title?: string; name?: string; overview?: string; biography?: string };
+    }>;
+  };
+}
+
+export interface MovieDetails extends Movie, Translations {
+  belongs_to_collection?: { id: number; name: string } | null;
+  runtime?: number;
+  budget?: number;
+  revenue?: number;
+  credits?: {
+    cast: Array<{
+      id: number;
+      name: string;
+      character: string;
+    }>;
+    crew: Array<{
+      id: number;
+      name: string;
+      job: string;
+    }>;
+  };
+  reviews?: {
+    results: Review[];
+  };
+  release_dates?: {
+    results: Array<{
+      iso_3166_1: string;
+      // type 1 is a premiere, 2 a limited and 3 a theatrical release
+      release_dates: Array<{ release_date: string; type: number }>;
+    }>;
+  };
+}
+
+export interface TvShow {
+  id: number;
+  name: string;
+  original_name?: string;
+  original_language?: string;
+  first_air_date: string;
+  vote_average: number;
+  overview: string;
+  popularity?: number;
+  poster_path?: string;
+}
+
+export interface TvResponse {
+  page: number;
+  results: TvShow[];
+  total_pages: number;
+  total_results: number;
+}
+
+export interface Episode {
+  id: number;
+  name: string;
+  overview: string;
+  air_date?: string;
+  episode_number: number;
+  season_number: number;
+  runtime?: number;
+  vote_average: number;
+  guest_stars?: Array<{ name: string; character: string }>;
+  crew?: Array<{ name: string; job: string }>;
+}
+
+export interface SeasonSummary {
+  id: number;
+  name: string;
+  season_number: number;
+  episode_count: number;
+  air_date?: string;
+}
+
+export interface Season extends SeasonSummary {
+  overview: string;
+  episodes: Episode[];
+}
+
+export interface TvShowDetails extends TvShow, Translations {
+  status?: string;
+  number_of_seasons?: number;
+  number_of_episodes?: number;
+  episode_run_time?: number[];
+  genres?: Array<{ id: number; name: string }>;
+  created_by?: Array<{ name: string }>;
+  networks?: Array<{ name: string }>;
+  seasons?: SeasonSummary[];
+  last_episode_to_air?: Episode;
+  next_episode_to_air?: Episode;
+  credits?: {
+    cast: Array<{
+      name: string;
+      character: string;
+    }>;
+  };
+}
+
+export interface Person {
+  id: number;
+  name: string;
+  known_for_department?: string;
+  popularity?: number;
+  profile_path?: string;
+  known_for?: Array<{ id: number; media_type: "movie" | "tv"; title?: string; name?: string }>;
+}
+
+export interface PersonResponse {
+  page: number;
+  results: Person[];
+  total_pages: number;
+}
+
+export interface PersonCredit {
+  id: number;
+  media_type: "movie" | "tv";
+  title?: string;
+  name?: string;
+  release_date?: string;
+  first_air_date?: string;
+  vote_average: number;
+  vote_count?: number;
+  popularity?: number;
+  character?: string;
+  job?: string;
+  department?: string;
+  episode_count?: number;
+}
+
+export interface PersonDetails extends Person, Translations {
+  biography: string;
+  birthday?: string;
+  deathday?: string;
+  place_of_birth?: string;
+  combined_credits?: {
+    cast: PersonCredit[];
+    crew: PersonCredit[];
+  };
+}
+
+export interface Collection {
+  id: number;
+  name: string;
+  overview: string;
+  poster_path?: string;
+  parts: Movie[];
+}
+
+export type MultiSearchResult =
+  | (Movie & { media_type: "movie" })
+  | (TvShow & { media_type: "tv" })
+  | (Person & { media_type: "person" });
+
+export interface MultiSearchResponse {
+  page: number;
+  results: MultiSearchResult[];
+  total_pages: number;
+}
+
+export interface Video {
+  id: string;
+  key: string;
+  name: string;
+  site: string;
+  type: string;
+  official: boolean;
+  published_at?: string;
+  iso_639_1: string;
+  iso_3166_1: string;
+}
+
+export interface VideosResponse {
+  id: number;
+  results: Video[];
+}
+
+export interface Review {
+  id: string;
+  author: string;
+  author_details?: { name?: string; username?: string; rating?: number | null };
+  content: string;
+  created_at: string;
+  url: string;
+}
+
+export interface ReviewsResponse {
+  page: number;
+  results: Review[];
+  total_pages: number;
+  total_results: number;
+}
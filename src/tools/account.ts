@@ -0,0 +1,185 @@
+import { z } from "zod";
+import {
+  AccountListItem,
+  AccountMediaType,
+  getAccountList,
+  LinkedAccount,
+  rateTitle,
+  releaseYear,
+  setAccountFlag,
+} from "../tmdb/index.js";
+import { formatContentId, parseContentId } from "./ids.js";
+import { localeInput } from "./locale.js";
+import { moreResults, nextCursorOutput, paginate, paginationInput } from "./pagination.js";
+import { titleSummarySchema } from "./schemas.js";
+import { defineTool, ownerOf, structuredResult, ToolContext } from "./types.js";
+
+async function requireAccount(context: ToolContext): Promise<LinkedAccount> {
+  const account = await context.accounts.get(ownerOf(context));
+  if (!account) {
+    throw new Error("No TMDB account is linked yet. Use connect_tmdb_account first.");
+  }
+  return account;
+}
+
+function accountTitle(value: string): { type: AccountMediaType; id: string } {
+  const content = parseContentId(value);
+  if (content.type === "person") {
+    throw new Error("Only movies and TV series can be rated or added to TMDB lists");
+  }
+  return { type: content.type, id: content.id };
+}
+
+function accountItemSummary(item: AccountListItem, mediaType: AccountMediaType) {
+  return {
+    id: formatContentId(mediaType, item.id),
+    type: mediaType,
+    title: item.title || item.name || "Untitled",
+    year: releaseYear(item.release_date || item.first_air_date),
+    rating: item.vote_average ?? undefined,
+    yourRating: item.account_rating?.value,
+  };
+}
+
+function formatAccountItem(item: AccountListItem, mediaType: AccountMediaType): string {
+  const title = item.title || item.name;
+  const year = releaseYear(item.release_date || item.first_air_date);
+  const rating = item.account_rating ? ` - Your rating: ${item.account_rating.value}/10` : "";
+  return `${title} (${year}) - ID: ${formatContentId(mediaType, item.id)}${rating}`;
+}
+
+const LIST_LABELS = { rated: "ratings", favorites: "favorites", watchlist: "watchlist" } as const;
+
+export const connectTmdbAccount = defineTool({
+  name: "connect_tmdb_account",
+  description: "Link the user's TMDB account so their ratings, favorites and watchlist on themoviedb.org can be read and changed. The first call returns a link the user must open to approve access; call this tool again once they have approved it.",
+  scope: "tmdb:account",
+  inputSchema: {},
+  outputSchema: {
+    status: z.enum(["linked", "pending"]),
+    username: z.string().optional().describe("TMDB username, once linked"),
+    approvalUrl: z.string().optional().describe("Link the user must open to approve access, while pending"),
+  },
+  handler: async (_args, context) => {
+    const result = await context.accounts.link(ownerOf(context));
+
+    if (result.status === "linked") {
+      return structuredResult(
+        { status: result.status, username: result.account.username },
+        `Linked to the TMDB account "${result.account.username}".`
+      );
+    }
+    return structuredResult(
+      { status: result.status, approvalUrl: result.approvalUrl },
+      `Ask the user to open this link, sign in to TMDB and approve access, then call connect_tmdb_account again:\n\n${result.approvalUrl}`
+    );
+  },
+});
+
+export const disconnectTmdbAccount = defineTool({
+  name: "disconnect_tmdb_account",
+  description: "Unlink the user's TMDB account and revoke this server's access to it",
+  scope: "tmdb:account",
+  inputSchema: {},
+  outputSchema: {
+    unlinked: z.boolean().describe("false when no account was linked"),
+  },
+  handler: async (_args, context) => {
+    const unlinked = await context.accounts.unlink(ownerOf(context));
+    return structuredResult({ unlinked }, unlinked ? "Unlinked the TMDB account." : "No TMDB account was linked.");
+  },
+});
+
+export const rateOnTmdb = defineTool({
+  name: "rate_title",
+  description: "Rate a movie or TV series on the user's linked TMDB account, or remove their rating",
+  scope: "tmdb:account",
+  inputSchema: {
+    id: z.string().describe("Movie or TV series id, e.g. \"movie:550\" or \"tv:1399\""),
+    rating: z.number().min(0).max(10).multipleOf(0.5).describe("Rating from 0.5 to 10 in steps of 0.5, or 0 to remove the rating"),
+  },
+  outputSchema: {
+    id: z.string(),
+    rating: z.number().optional().describe("Missing when the rating was removed"),
+  },
+  handler: async ({ id, rating }, context) => {
+    const account = await requireAccount(context);
+    const title = accountTitle(id);
+
+    await rateTitle(context.tmdb, account, title.type, title.id, rating || undefined);
+
+    const typedId = formatContentId(title.type, title.id);
+    return structuredResult(
+      { id: typedId, rating: rating || undefined },
+      rating ? `Rated ${typedId} ${rating}/10 on TMDB.` : `Removed your TMDB rating for ${typedId}.`
+    );
+  },
+});
+
+export const updateTmdbList = defineTool({
+  name: "update_tmdb_list",
+  description: "Add a movie or TV series to, or remove it from, the favorites or watchlist on the user's linked TMDB account",
+  scope: "tmdb:account",
+  inputSchema: {
+    id: z.string().describe("Movie or TV series id, e.g. \"movie:550\" or \"tv:1399\""),
+    list: z.enum(["favorites", "watchlist"]).describe("Which TMDB list to change"),
+    add: z.boolean().default(true).describe("true to add the title, false to remove it"),
+  },
+  outputSchema: {
+    id: z.string(),
+    list: z.enum(["favorites", "watchlist"]),
+    onList: z.boolean(),
+  },
+  handler: async ({ id, list, add }, context) => {
+    const account = await requireAccount(context);
+    const title = accountTitle(id);
+
+    await setAccountFlag(context.tmdb, account, list === "favorites" ? "favorite" : "watchlist", title.type, title.id, add);
+
+    const typedId = formatContentId(title.type, title.id);
+    return structuredResult({ id: typedId, list, onList: add }, add ? `Added ${typedId} to your TMDB ${list}.` : `Removed ${typedId} from your TMDB ${list}.`);
+  },
+});
+
+export const getTmdbList = defineTool({
+  name: "get_tmdb_list",
+  description: "Read the user's rated titles, favorites or watchlist from their linked TMDB account",
+  scope: "tmdb:account",
+  inputSchema: {
+    list: z.enum(["rated", "favorites", "watchlist"]).describe("Which TMDB list to read"),
+    mediaType: z.enum(["movie", "tv"]).default("movie").describe("Movies or TV series"),
+    ...paginationInput,
+    ...localeInput,
+  },
+  outputSchema: {
+    list: z.enum(["rated", "favorites", "watchlist"]),
+    totalResults: z.number(),
+    results: z.array(titleSummarySchema.extend({
+      yourRating: z.number().optional().describe("The user's TMDB rating, 0.5-10"),
+    })),
+    nextCursor: nextCursorOutput,
+  },
+  handler: async ({ list, mediaType, cursor, limit }, context) => {
+    const account = await requireAccount(context);
+    let totalResults = 0;
+    const { items, nextCursor } = await paginate(cursor, limit ?? context.config.resultLimit, async (page) => {
+      const data = await getAccountList(context.tmdb, account, list, mediaType, page);
+      totalResults = data.total_results;
+      return data;
+    });
+
+    const label = `${mediaType === "movie" ? "movie" : "TV"} ${LIST_LABELS[list]}`;
+    const structured = {
+      list,
+      totalResults,
+      results: items.map((item) => accountItemSummary(item, mediaType)),
+      nextCursor,
+    };
+    if (!items.length) {
+      return structuredResult(structured, `No ${cursor ? "more " : ""}titles in your TMDB ${label}.`);
+    }
+
+    const lines = items.map((item) => formatAccountItem(item, mediaType)).join("\n");
+    return structuredResult(structured, `Your TMDB ${label} (${totalResults} total):\n\n${lines}${moreResults(nextCursor)}`);
+  },
+});
@@ -0,0 +1,185 @@
+import { z } from "zod";
+import {
+  formatWatchProviders,
+  getMovieDetails,
+  getShowDetails,
+  getWatchProviders,
+  MultiSearchResult,
+  MultiSearchResponse,
+  releaseYear,
+  TmdbClient,
+} from "../tmdb/index.js";
+import { ContentType, formatContentId, parseContentId } from "./ids.js";
+import { formatPersonDetails, getPersonDetails, knownFor } from "./people.js";
+import { formatShowDetails } from "./tv.js";
+import { localeInput } from "./locale.js";
+import { nextCursorOutput, paginate, paginationInput } from "./pagination.js";
+import { snippet } from "./text.js";
+import { defineTool, structuredResult } from "./types.js";
+
+// `search` and `fetch` follow the result shapes ChatGPT connectors expect, which
+// read the JSON from the text content; structured content carries the same data
+
+const searchResultSchema = z.object({
+  id: z.string().describe("Typed id to pass to fetch, e.g. \"movie:550\""),
+  url: z.string(),
+  title: z.string(),
+  text: z.string().describe("Short snippet"),
+});
+
+const documentSchema = {
+  id: z.string(),
+  title: z.string(),
+  text: z.string(),
+  url: z.string(),
+  metadata: z.record(z.unknown()),
+};
+
+type FetchedDocument = z.infer<z.ZodObject<typeof documentSchema>>;
+
+export function tmdbUrl(type: ContentType, id: number | string): string {
+  return `https://www.themoviedb.org/${type}/${id}`;
+}
+
+function searchResult(result: MultiSearchResult) {
+  const base = {
+    id: formatContentId(result.media_type, result.id),
+    url: tmdbUrl(result.media_type, result.id),
+  };
+
+  switch (result.media_type) {
+    case "movie":
+      return { ...base, title: `${result.title} (${releaseYear(result.release_date)})`, text: snippet(result.overview) };
+    case "tv":
+      return { ...base, title: `${result.name} (TV, ${releaseYear(result.first_air_date)})`, text: snippet(result.overview) };
+    case "person": {
+      const work = result.known_for?.map((item) => item.title || item.name).join(", ");
+      return {
+        ...base,
+        title: result.name,
+        text: snippet(`${result.known_for_department || "Person"}${work ? `, known for ${work}` : ""}`),
+      };
+    }
+  }
+}
+
+export const search = defineTool({
+  name: "search",
+  description: "Search TMDB for movies, TV series and people by title, name or keywords. Returns typed ids (\"movie:550\", \"tv:1399\", \"person:287\") that can be passed to `fetch`.",
+  inputSchema: {
+    query: z.string().describe("Title, name, or search terms"),
+    ...paginationInput,
+    ...localeInput,
+  },
+  outputSchema: {
+    results: z.array(searchResultSchema),
+    nextCursor: nextCursorOutput,
+  },
+  handler: async ({ query, cursor, limit }, { tmdb, config }) => {
+    const { items, nextCursor } = await paginate(cursor, limit ?? config.resultLimit, async (page) => {
+      const data = await tmdb.get<MultiSearchResponse>("/search/multi", { query, page });
+      return { ...data, results: data.results.filter((result) => ["movie", "tv", "person"].includes(result.media_type)) };
+    });
+
+    const results = { results: items.map(searchResult), nextCursor };
+    return structuredResult(results, JSON.stringify(results));
+  },
+});
+
+async function movieDocument(tmdb: TmdbClient, id: string): Promise<FetchedDocument> {
+  const movie = await getMovieDetails(tmdb, id);
+
+  const text = [
+    movie.title,
+    "",
+    `Release Date: ${movie.release_date}`,
+    `Rating: ${movie.vote_average}/10`,
+    "",
+    `Overview: ${movie.overview}`,
+    "",
+    `Genres: ${movie.genres?.map((g) => g.name).join(", ")}`,
+    `Runtime: ${movie.runtime} minutes`,
+    `Director: ${movie.credits?.crew?.find((p) => p.job === "Director")?.name}`,
+    `Main Cast: ${movie.credits?.cast?.slice(0, 5).map((a) => a.name).join(", ")}`,
+  ].join("\n");
+
+  return {
+    id: formatContentId("movie", movie.id),
+    title: `${movie.title} (${releaseYear(movie.release_date)})`,
+    text,
+    url: tmdbUrl("movie", movie.id),
+    metadata: {
+      tmdb_id: movie.id,
+      type: "movie",
+      popularity: movie.popularity,
+      budget: movie.budget,
+      revenue: movie.revenue,
+    },
+  };
+}
+
+async function tvDocument(tmdb: TmdbClient, id: string): Promise<FetchedDocument> {
+  const show = await getShowDetails(tmdb, id);
+
+  return {
+    id: formatContentId("tv", show.id),
+    title: `${show.name} (${releaseYear(show.first_air_date)})`,
+    text: formatShowDetails(show),
+    url: tmdbUrl("tv", show.id),
+    metadata: {
+      tmdb_id: show.id,
+      type: "tv",
+      popularity: show.popularity,
+      number_of_seasons: show.number_of_seasons,
+      number_of_episodes: show.number_of_episodes,
+      status: show.status,
+    },
+  };
+}
+
+async function personDocument(tmdb: TmdbClient, id: string): Promise<FetchedDocument> {
+  const person = await getPersonDetails(tmdb, id);
+
+  return {
+    id: formatContentId("person", person.id),
+    title: person.name,
+    text: formatPersonDetails(person),
+    url: tmdbUrl("person", person.id),
+    metadata: {
+      tmdb_id: person.id,
+      type: "person",
+      popularity: person.popularity,
+      known_for_department: person.known_for_department,
+      known_for: knownFor(person).map((credit) => formatContentId(credit.media_type, credit.id)),
+    },
+  };
+}
+
+const documentLoaders = {
+  movie: movieDocument,
+  tv: tvDocument,
+  person: personDocument,
+};
+
+export const fetchDocument = defineTool({
+  name: "fetch",
+  description: "Fetch detailed information for a search result id. Ids are typed (\"movie:550\", \"tv:1399\", \"person:287\"); a bare number is treated as a movie id.",
+  inputSchema: {
+    id: z.string().describe("Result id from search, e.g. \"movie:550\" for a movie, \"tv:1399\" for a TV series or \"person:287\" for a person"),
+    ...localeInput,
+  },
+  outputSchema: documentSchema,
+  handler: async ({ id, region }, { tmdb, config }) => {
+    const content = parseContentId(id);
+    const document = await documentLoaders[content.type](tmdb, content.id);
+
+    const watchRegion = region?.toUpperCase() || config.watchRegion;
+    if (watchRegion && content.type !== "person") {
+      const providers = await getWatchProviders(tmdb, content.type, content.id, watchRegion);
+      document.text += `\n\nWhere to Watch (${watchRegion}):\n${formatWatchProviders(providers, watchRegion)}`;
+      document.metadata.watch_providers = providers ?? null;
+    }
+
+    return structuredResult(document, JSON.stringify(document));
+  },
+});
@@ -0,0 +1,93 @@
+import { z } from "zod";
+import { Collection, MovieDetails, partsInReleaseOrder, releaseYear, TmdbClient } from "../tmdb/index.js";
+import { formatContentId, parseContentId } from "./ids.js";
+import { localeInput } from "./locale.js";
+import { defineTool, structuredResult } from "./types.js";
+
+const COLLECTION_ID = /^collection:(\d+)$/;
+
+// Accepts a collection id, or any movie in the collection
+async function resolveCollectionId(tmdb: TmdbClient, value: string): Promise<string> {
+  const collection = COLLECTION_ID.exec(value.trim());
+  if (collection) return collection[1];
+
+  const content = parseContentId(value);
+  if (content.type !== "movie") {
+    throw new Error("Collections group movies; pass a movie id such as \"movie:954\" or a collection id such as \"collection:87359\"");
+  }
+  const movie = await tmdb.get<MovieDetails>(`/movie/${content.id}`);
+  if (!movie.belongs_to_collection) {
+    throw new Error(`${movie.title} is not part of a film series on TMDB`);
+  }
+  return String(movie.belongs_to_collection.id);
+}
+
+function formatRuntime(minutes: number): string {
+  const hours = Math.floor(minutes / 60);
+  return hours ? `${hours} h ${minutes % 60} min` : `${minutes} min`;
+}
+
+export const getCollection = defineTool({
+  name: "get_collection",
+  description: "Get the film series (TMDB collection) a movie belongs to, with every movie in release order, their ratings and runtimes, and the total runtime. Use this for questions like \"in what order should I watch the Mission: Impossible films?\"",
+  inputSchema: {
+    id: z.string().describe("Any movie in the series, e.g. \"movie:954\", or a collection id such as \"collection:87359\""),
+    ...localeInput,
+  },
+  outputSchema: {
+    id: z.string().describe("Collection id, e.g. \"collection:87359\""),
+    name: z.string(),
+    overview: z.string().optional(),
+    parts: z.array(z.object({
+      id: z.string(),
+      title: z.string(),
+      year: z.string(),
+      releaseDate: z.string().optional(),
+      released: z.boolean(),
+      rating: z.number().optional(),
+      runtime: z.number().optional().describe("Minutes"),
+    })),
+    totalRuntime: z.number().describe("Minutes, summed over released movies with a known runtime"),
+  },
+  handler: async ({ id }, { tmdb }) => {
+    const collectionId = await resolveCollectionId(tmdb, id);
+    const collection = await tmdb.get<Collection>(`/collection/${collectionId}`);
+    const movies = partsInReleaseOrder(collection);
+    // Collection parts have no runtime, so read each movie's details; they are cached for a day
+    const details = await Promise.all(movies.map((movie) => tmdb.get<MovieDetails>(`/movie/${movie.id}`)));
+
+    const today = new Date().toISOString().slice(0, 10);
+    const parts = movies.map((movie, index) => ({
+      id: formatContentId("movie", movie.id),
+      title: movie.title,
+      year: releaseYear(movie.release_date),
+      releaseDate: movie.release_date || undefined,
+      released: Boolean(movie.release_date) && movie.release_date <= today,
+      rating: movie.vote_average || undefined,
+      runtime: details[index].runtime || undefined,
+    }));
+    const totalRuntime = parts.reduce((total, part) => total + (part.released ? part.runtime ?? 0 : 0), 0);
+    const releasedCount = parts.filter((part) => part.released).length;
+
+    const lines = parts.map((part, index) => {
+      const facts = [
+        part.released ? part.releaseDate : `unreleased${part.releaseDate ? `, due ${part.releaseDate}` : ""}`,
+        part.rating !== undefined ? `${part.rating.toFixed(1)}/10` : "",
+        part.runtime ? formatRuntime(part.runtime) : "",
+      ].filter(Boolean);
+      return `${index + 1}. ${part.title} (${facts.join(", ")}) - ID: ${part.id}`;
+    });
+
+    return structuredResult(
+      {
+        id: `collection:${collection.id}`,
+        name: collection.name,
+        overview: collection.overview || undefined,
+        parts,
+        totalRuntime,
+      },
+      `${collection.name}, in release order:\n\n${lines.join("\n")}\n\n` +
+      `Total runtime: ${formatRuntime(totalRuntime)} across ${releasedCount} released movies.`
+    );
+  },
+});
@@ -0,0 +1,138 @@
+import { z } from "zod";
+import { getMovieDetails, MovieDetails, releaseYear } from "../tmdb/index.js";
+import { formatContentId, parseContentId } from "./ids.js";
+import { localeInput } from "./locale.js";
+import { defineTool, structuredResult } from "./types.js";
+
+const TOP_CAST = 5;
+
+const sharedPersonSchema = z.object({
+  name: z.string(),
+  movies: z.array(z.string()).describe("Ids of the compared movies they worked on"),
+  roles: z.array(z.string()).describe("Characters played, or crew jobs"),
+});
+
+type SharedPerson = z.infer<typeof sharedPersonSchema>;
+
+// TMDB uses 0 for unknown budgets and revenues
+function money(amount?: number): string {
+  return amount ? `$${amount.toLocaleString("en-US")}` : "Unknown";
+}
+
+/**
+ * People credited on more than one of the movies, most shared first. TMDB
+ * lists crew once per job, so roles are collected per person.
+ */
+function sharedPeople(
+  movies: MovieDetails[],
+  credits: (movie: MovieDetails) => Array<{ id: number; name: string; role: string }>
+): SharedPerson[] {
+  const people = new Map<number, SharedPerson>();
+  for (const movie of movies) {
+    const movieId = formatContentId("movie", movie.id);
+    for (const credit of credits(movie)) {
+      const person = people.get(credit.id) ?? { name: credit.name, movies: [], roles: [] };
+      if (!person.movies.includes(movieId)) person.movies.push(movieId);
+      if (credit.role && !person.roles.includes(credit.role)) person.roles.push(credit.role);
+      people.set(credit.id, person);
+    }
+  }
+  return [...people.values()]
+    .filter((person) => person.movies.length > 1)
+    .sort((a, b) => b.movies.length - a.movies.length);
+}
+
+// A "|" inside a cell would end it early and shift the rest of the row
+function cell(value: string): string {
+  return value.replace(/\|/g, "\\|");
+}
+
+function formatShared(label: string, people: SharedPerson[], titles: Map<string, string>): string {
+  if (!people.length) return `${label}: none`;
+  const lines = people.map((person) =>
+    `- ${person.name} (${person.roles.join(", ")}): ${person.movies.map((id) => titles.get(id)).join(", ")}`
+  );
+  return `${label}:\n${lines.join("\n")}`;
+}
+
+export const compareMovies = defineTool({
+  name: "compare_movies",
+  description: "Compare 2 to 5 movies side by side: year, runtime, rating, vote count, budget, revenue, director, top cast and genres, plus the cast and crew they share. Use this instead of fetching each movie when the user wants films compared.",
+  inputSchema: {
+    ids: z.array(z.string()).min(2).max(5).describe("Movie ids, e.g. [\"movie:550\", \"movie:807\"]"),
+    ...localeInput,
+  },
+  outputSchema: {
+    movies: z.array(z.object({
+      id: z.string(),
+      title: z.string(),
+      year: z.string(),
+      runtime: z.number().optional().describe("Minutes"),
+      rating: z.number().optional().describe("TMDB vote average, 0-10"),
+      voteCount: z.number().optional(),
+      budget: z.number().optional().describe("US dollars"),
+      revenue: z.number().optional().describe("US dollars"),
+      directors: z.array(z.string()),
+      topCast: z.array(z.string()),
+      genres: z.array(z.string()),
+    })),
+    sharedCast: z.array(sharedPersonSchema),
+    sharedCrew: z.array(sharedPersonSchema),
+  },
+  handler: async ({ ids }, { tmdb }) => {
+    const movieIds = ids.map((value) => {
+      const content = parseContentId(value);
+      if (content.type !== "movie") {
+        throw new Error(`compare_movies compares movies; "${value}" is not a movie id`);
+      }
+      return content.id;
+    });
+    if (new Set(movieIds).size !== movieIds.length) {
+      throw new Error("Pass each movie only once");
+    }
+
+    const details = await Promise.all(movieIds.map((id) => getMovieDetails(tmdb, id)));
+    const movies = details.map((movie) => ({
+      id: formatContentId("movie", movie.id),
+      title: movie.title,
+      year: releaseYear(movie.release_date),
+      runtime: movie.runtime || undefined,
+      rating: movie.vote_count ? movie.vote_average : undefined,
+      voteCount: movie.vote_count ?? undefined,
+      budget: movie.budget || undefined,
+      revenue: movie.revenue || undefined,
+      directors: movie.credits?.crew.filter((person) => person.job === "Director").map((person) => person.name) ?? [],
+      topCast: movie.credits?.cast.slice(0, TOP_CAST).map((person) => person.name) ?? [],
+      genres: movie.genres?.map((genre) => genre.name) ?? [],
+    }));
+    const sharedCast = sharedPeople(details, (movie) =>
+      movie.credits?.cast.map((person) => ({ id: person.id, name: person.name, role: person.character })) ?? []
+    );
+    const sharedCrew = sharedPeople(details, (movie) =>
+      movie.credits?.crew.map((person) => ({ id: person.id, name: person.name, role: person.job })) ?? []
+    );
+
+    const rows: Array<[string, (movie: (typeof movies)[number]) => string]> = [
+      ["Year", (movie) => movie.year],
+      ["Runtime", (movie) => (movie.runtime ? `${movie.runtime} min` : "Unknown")],
+      ["Rating", (movie) => (movie.rating !== undefined ? `${movie.rating.toFixed(1)}/10` : "Not rated")],
+      ["Votes", (movie) => (movie.voteCount ?? 0).toLocaleString("en-US")],
+      ["Budget", (movie) => money(movie.budget)],
+      ["Revenue", (movie) => money(movie.revenue)],
+      ["Director", (movie) => movie.directors.join(", ") || "Unknown"],
+      ["Top cast", (movie) => movie.topCast.join(", ") || "Unknown"],
+      ["Genres", (movie) => movie.genres.join(", ") || "Unknown"],
+    ];
+    const table = [
+      `| | ${movies.map((movie) => cell(movie.title)).join(" | ")} |`,
+      `|---|${movies.map(() => "---").join("|")}|`,
+      ...rows.map(([label, value]) => `| ${label} | ${movies.map((movie) => cell(value(movie))).join(" | ")} |`),
+    ].join("\n");
+
+    const titles = new Map(movies.map((movie) => [movie.id, movie.title]));
+    return structuredResult(
+      { movies, sharedCast, sharedCrew },
+      `${table}\n\n${formatShared("Shared cast", sharedCast, titles)}\n\n${formatShared("Shared crew", sharedCrew, titles)}`
+    );
+  },
+});
@@ -0,0 +1,107 @@
+import { z } from "zod";
+import {
+  MediaType,
+  Movie,
+  PROVIDER_KINDS,
+  resolveGenreIds,
+  resolveProviderIds,
+  TmdbParams,
+  TMDBResponse,
+  TvResponse,
+  TvShow,
+} from "../tmdb/index.js";
+import { formatMovie } from "./movies.js";
+import { localeInput } from "./locale.js";
+import { moreResults, nextCursorOutput, paginate, paginationInput } from "./pagination.js";
+import { movieSummary, showSummary, titleSummarySchema } from "./schemas.js";
+import { formatShow } from "./tv.js";
+import { defineTool, structuredResult } from "./types.js";
+
+// TMDB has no revenue figures for TV series
+const SORT_KEYS: Record<string, Partial<Record<MediaType, string>>> = {
+  popularity: { movie: "popularity.desc", tv: "popularity.desc" },
+  rating: { movie: "vote_average.desc", tv: "vote_average.desc" },
+  votes: { movie: "vote_count.desc", tv: "vote_count.desc" },
+  newest: { movie: "primary_release_date.desc", tv: "first_air_date.desc" },
+  oldest: { movie: "primary_release_date.asc", tv: "first_air_date.asc" },
+  revenue: { movie: "revenue.desc" },
+};
+
+export const discover = defineTool({
+  name: "discover",
+  description: "Find movies or TV series by structured filters: genres, release years, rating, vote count, runtime and original language. Use this for requests like \"highly rated Korean thrillers from the 2010s under two hours\".",
+  inputSchema: {
+    mediaType: z.enum(["movie", "tv"]).default("movie").describe("Discover movies or TV series"),
+    genres: z.array(z.string()).optional().describe("Genre names (e.g. \"Thriller\", \"sci-fi\") or TMDB genre ids; results match all of them"),
+    excludeGenres: z.array(z.string()).optional().describe("Genre names or ids to exclude"),
+    yearFrom: z.number().int().optional().describe("Earliest release (or first air) year, inclusive"),
+    yearTo: z.number().int().optional().describe("Latest release (or first air) year, inclusive"),
+    minRating: z.number().min(0).max(10).optional().describe("Minimum TMDB vote average (0-10)"),
+    minVotes: z.number().int().min(0).optional().describe("Minimum vote count, to skip obscure titles with few ratings"),
+    minRuntime: z.number().int().min(0).optional().describe("Minimum runtime in minutes"),
+    maxRuntime: z.number().int().min(0).optional().describe("Maximum runtime in minutes"),
+    originalLanguage: z.string().length(2).optional().describe("Original language as an ISO 639-1 code, e.g. \"ko\" for Korean"),
+    providers: z.array(z.string()).optional().describe("Only titles available on any of these watch providers, by name (e.g. \"Netflix\") or id"),
+    watchRegion: z.string().length(2).optional().describe("ISO 3166-1 country code the providers filter applies to. Defaults to `region`, then the server's watch region"),
+    monetization: z.array(z.enum(PROVIDER_KINDS)).optional().describe("Restrict the providers filter to these offer types"),
+    sortBy: z.enum(["popularity", "rating", "votes", "newest", "oldest", "revenue"]).default("popularity").describe("Sort order; revenue is only available for movies"),
+    ...paginationInput,
+    ...localeInput,
+  },
+  outputSchema: {
+    mediaType: z.enum(["movie", "tv"]),
+    totalResults: z.number(),
+    results: z.array(titleSummarySchema),
+    nextCursor: nextCursorOutput,
+  },
+  handler: async (args, { tmdb, config }) => {
+    const { mediaType } = args;
+    const sortBy = SORT_KEYS[args.sortBy][mediaType];
+    if (!sortBy) {
+      throw new Error(`Sorting by ${args.sortBy} is only available for movies`);
+    }
+    const dateField = mediaType === "movie" ? "primary_release_date" : "first_air_date";
+    const filterByProvider = Boolean(args.providers?.length || args.monetization?.length);
+    const watchRegion = (args.watchRegion || args.region || config.watchRegion || "US").toUpperCase();
+
+    const [withGenres, withoutGenres, withProviders] = await Promise.all([
+      resolveGenreIds(tmdb, mediaType, args.genres ?? []),
+      resolveGenreIds(tmdb, mediaType, args.excludeGenres ?? []),
+      resolveProviderIds(tmdb, mediaType, watchRegion, args.providers ?? []),
+    ]);
+
+    const params: TmdbParams = {
+      sort_by: sortBy,
+      with_genres: withGenres.length ? withGenres.join(",") : undefined,
+      without_genres: withoutGenres.length ? withoutGenres.join(",") : undefined,
+      [`${dateField}.gte`]: args.yearFrom !== undefined ? `${args.yearFrom}-01-01` : undefined,
+      [`${dateField}.lte`]: args.yearTo !== undefined ? `${args.yearTo}-12-31` : undefined,
+      "vote_average.gte": args.minRating,
+      "vote_count.gte": args.minVotes,
+      "with_runtime.gte": args.minRuntime,
+      "with_runtime.lte": args.maxRuntime,
+      with_original_language: args.originalLanguage?.toLowerCase(),
+      with_watch_providers: withProviders.length ? withProviders.join("|") : undefined,
+      with_watch_monetization_types: args.monetization?.length ? args.monetization.join("|") : undefined,
+      watch_region: filterByProvider ? watchRegion : undefined,
+    };
+
+    let totalResults = 0;
+    const { items, nextCursor } = await paginate<Movie | TvShow>(args.cursor, args.limit ?? config.resultLimit, async (page) => {
+      const data = await tmdb.get<TMDBResponse | TvResponse>(`/discover/${mediaType}`, { ...params, page });
+      totalResults = data.total_results;
+      return data;
+    });
+    const results = items.map((item) => ("title" in item ? formatMovie(item, true) : formatShow(item, true)));
+
+    return structuredResult(
+      {
+        mediaType,
+        totalResults,
+        results: items.map((item) => ("title" in item ? movieSummary(item) : showSummary(item))),
+        nextCursor,
+      },
+      `${totalResults} ${mediaType === "movie" ? "movies" : "TV series"} match:\n\n${results.join("\n---\n")}${moreResults(nextCursor)}`
+    );
+  },
+});
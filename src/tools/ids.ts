@@ -0,0 +1,39 @@
+export type ContentType = "movie" | "tv" | "person";
+
+export interface ContentId {
+  type: ContentType;
+  id: string;
+}
+
+const ID_PATTERN = /^(?:(movie|tv|person):)?(\d+)$/;
+
+/**
+ * Parses the namespaced ids used by `search` and `fetch`, e.g. `tv:1399` or
+ * `person:287`.
+ * Bare numeric ids are treated as movies for backward compatibility.
+ */
+export function parseContentId(value: string): ContentId {
+  const match = ID_PATTERN.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid id "${value}", expected a TMDB id such as "movie:550", "tv:1399" or "person:287"`);
+  }
+  return { type: (match[1] as ContentType) || "movie", id: match[2] };
+}
+
+export function formatContentId(type: ContentType, id: number | string): string {
+  return `${type}:${id}`;
+}
+
+const EXAMPLE_IDS: Record<ContentType, string> = { movie: "movie:550", tv: "tv:1399", person: "person:287" };
+
+/**
+ * Parses an argument that only takes one type of id, such as `tvId`. A bare
+ * number is read as that type, since the argument already says which it is.
+ */
+export function parseIdOf(type: ContentType, value: string): string {
+  const match = ID_PATTERN.exec(value.trim());
+  if (!match || (match[1] && match[1] !== type)) {
+    throw new Error(`Invalid ${type === "tv" ? "TV series" : type} id "${value}", expected an id such as "${EXAMPLE_IDS[type]}"`);
+  }
+  return match[2];
+}
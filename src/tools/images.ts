@@ -0,0 +1,83 @@
+import type { ImageContent } from "@modelcontextprotocol/sdk/types.js";
+import { z } from "zod";
+import { getImageConfiguration, ImageKind, ImagesResponse, imageSize, TmdbImage } from "../tmdb/index.js";
+import { formatContentId, parseContentId } from "./ids.js";
+import { localeInput } from "./locale.js";
+import { defineTool, structuredResult } from "./types.js";
+
+const MAX_IMAGES = 5;
+
+const IMAGE_LISTS: Record<ImageKind, keyof ImagesResponse> = {
+  poster: "posters",
+  backdrop: "backdrops",
+  profile: "profiles",
+};
+
+/**
+ * Images in the requested language first, then ones without text, then the
+ * rest, each group by TMDB's vote average.
+ */
+function rankImages(images: TmdbImage[], language?: string): TmdbImage[] {
+  const rank = (image: TmdbImage) => (image.iso_639_1 === language ? 0 : image.iso_639_1 === null ? 1 : 2);
+  return [...images].sort((a, b) => rank(a) - rank(b) || b.vote_average - a.vote_average);
+}
+
+export const getImages = defineTool({
+  name: "get_images",
+  description: "Get posters or backdrops of a movie or TV series, or profile photos of a person, as images the user can see. Use urlsOnly when only links are needed.",
+  inputSchema: {
+    id: z.string().describe("Typed id, e.g. \"movie:550\", \"tv:1399\" or \"person:287\""),
+    kind: z.enum(["poster", "backdrop", "profile"]).optional().describe("Which images; defaults to posters for titles and profile photos for people"),
+    size: z.string().optional().describe("TMDB image size such as \"w342\", \"w780\" or \"original\". Defaults to a mid-sized image"),
+    count: z.number().int().min(1).max(MAX_IMAGES).default(1).describe("How many images to return"),
+    urlsOnly: z.boolean().default(false).describe("Return image links without the image data"),
+    ...localeInput,
+  },
+  outputSchema: {
+    id: z.string(),
+    kind: z.enum(["poster", "backdrop", "profile"]),
+    size: z.string(),
+    images: z.array(z.object({
+      url: z.string(),
+      language: z.string().optional().describe("ISO 639-1 language of any text on the image"),
+    })),
+  },
+  handler: async ({ id, kind, size, count, urlsOnly }, { tmdb, images }) => {
+    const content = parseContentId(id);
+    const imageKind = kind ?? (content.type === "person" ? "profile" : "poster");
+    if ((content.type === "person") !== (imageKind === "profile")) {
+      throw new Error(content.type === "person" ? "People only have profile photos" : "Profile photos are only available for people");
+    }
+
+    // Posters usually carry a title, so ask for the user's language as well as textless and English ones
+    const language = tmdb.locale.language?.split("-")[0];
+    const [configuration, data] = await Promise.all([
+      getImageConfiguration(tmdb),
+      tmdb.get<ImagesResponse>(`/${content.type}/${content.id}/images`, {
+        include_image_language: language ? `${language},null,en` : undefined,
+      }),
+    ]);
+
+    const chosenSize = imageSize(configuration, imageKind, size);
+    const chosen = rankImages(data[IMAGE_LISTS[imageKind]] ?? [], language).slice(0, count);
+    const urls = chosen.map((image) => `${configuration.images.secure_base_url}${chosenSize}${image.file_path}`);
+
+    const typedId = formatContentId(content.type, content.id);
+    const structured = {
+      id: typedId,
+      kind: imageKind,
+      size: chosenSize,
+      images: chosen.map((image, index) => ({ url: urls[index], language: image.iso_639_1 ?? undefined })),
+    };
+    if (!chosen.length) {
+      return structuredResult(structured, `TMDB has no ${imageKind} images for ${typedId}.`);
+    }
+
+    const result = structuredResult(structured, `${chosen.length} ${imageKind} image(s) for ${typedId} (${chosenSize}):\n\n${urls.join("\n")}`);
+    if (!urlsOnly) {
+      const downloaded = await Promise.all(urls.map((url) => images.get(url)));
+      result.content.push(...downloaded.map((image): ImageContent => ({ type: "image", ...image })));
+    }
+    return result;
+  },
+});
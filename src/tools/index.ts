@@ -0,0 +1,89 @@
+import type { AuthInfo } from "@modelcontextprotocol/sdk/server/auth/types.js";
+import type { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import type { RequestHandlerExtra } from "@modelcontextprotocol/sdk/shared/protocol.js";
+import { ErrorCode, McpError, ServerNotification, ServerRequest } from "@modelcontextprotocol/sdk/types.js";
+import { connectTmdbAccount, disconnectTmdbAccount, getTmdbList, rateOnTmdb, updateTmdbList } from "./account.js";
+import { fetchDocument, search } from "./chatgpt.js";
+import { getCollection } from "./collections.js";
+import { compareMovies } from "./compare.js";
+import { discover } from "./discover.js";
+import { getImages } from "./images.js";
+import { addToList, getList, removeFromList } from "./lists.js";
+import { localizedClient } from "./locale.js";
+import { getRecommendations, getTrending, searchMovies } from "./movies.js";
+import { getFilmography, getPerson, searchPeople } from "./people.js";
+import { getReviews } from "./reviews.js";
+import { getTvDetails, getTvEpisode, getTvRecommendations, getTvSeason, searchTv } from "./tv.js";
+import { getVideos } from "./videos.js";
+import { getWhereToWatch } from "./watch.js";
+import type { ServerContext, ToolDefinition } from "./types.js";
+
+// The single tool registry shared by every transport
+export const tools: ToolDefinition<any, any>[] = [
+  search,
+  fetchDocument,
+  searchMovies,
+  getRecommendations,
+  getTrending,
+  discover,
+  getWhereToWatch,
+  searchTv,
+  getTvDetails,
+  getTvSeason,
+  getTvEpisode,
+  getTvRecommendations,
+  searchPeople,
+  getPerson,
+  getFilmography,
+  getImages,
+  getVideos,
+  getReviews,
+  getCollection,
+  compareMovies,
+  addToList,
+  removeFromList,
+  getList,
+  connectTmdbAccount,
+  disconnectTmdbAccount,
+  rateOnTmdb,
+  updateTmdbList,
+  getTmdbList,
+];
+
+function hasScope(auth: AuthInfo | undefined, scope: string): boolean {
+  // Unauthenticated transports (stdio, --auth none) may use every tool
+  return !auth || auth.scopes.includes(scope);
+}
+
+/**
+ * Registers every tool on the server. Tools the session's token lacks the
+ * scope for are hidden from tools/list, and each call re-checks the scope of
+ * the token it arrived with. Calls that pass `language` or `region` read
+ * TMDB through a client localized for them.
+ */
+export function registerTools(server: McpServer, context: ServerContext, sessionAuth?: AuthInfo): void {
+  for (const tool of tools) {
+    const scope = tool.scope ?? "read";
+
+    const registered = server.registerTool(
+      tool.name,
+      { description: tool.description, inputSchema: tool.inputSchema, outputSchema: tool.outputSchema },
+      (args: any, extra: RequestHandlerExtra<ServerRequest, ServerNotification>) => {
+        if (!hasScope(extra.authInfo, scope)) {
+          throw new McpError(ErrorCode.InvalidRequest, `Insufficient scope: ${tool.name} requires the "${scope}" scope`);
+        }
+
+        return tool.handler(args, {
+          ...context,
+          tmdb: localizedClient(context.tmdb, args),
+          auth: extra.authInfo,
+          user: extra.authInfo?.extra?.username as string | undefined,
+        });
+      }
+    );
+
+    if (!hasScope(sessionAuth, scope)) {
+      registered.disable();
+    }
+  }
+}
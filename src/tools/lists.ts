@@ -0,0 +1,151 @@
+import { z } from "zod";
+import { ListEntry, listKey, UserList } from "../lists/store.js";
+import { MovieDetails, releaseYear, TmdbClient, TvShowDetails } from "../tmdb/index.js";
+import { formatContentId, parseContentId } from "./ids.js";
+import { moreResults, nextCursorOutput, Page, paginateArray, paginationInput } from "./pagination.js";
+import { defineTool, ownerOf, structuredResult } from "./types.js";
+
+const listEntrySchema = z.object({
+  id: z.string(),
+  title: z.string(),
+  year: z.string(),
+  note: z.string().optional(),
+  rating: z.number().optional().describe("The user's own rating, 0-10"),
+  addedAt: z.string().describe("ISO 8601 timestamp"),
+});
+
+function entrySummary(entry: ListEntry): z.infer<typeof listEntrySchema> {
+  return { ...entry, addedAt: new Date(entry.addedAt).toISOString() };
+}
+
+async function describeTitle(tmdb: TmdbClient, value: string): Promise<{ id: string; title: string; year: string }> {
+  const content = parseContentId(value);
+
+  switch (content.type) {
+    case "movie": {
+      const movie = await tmdb.get<MovieDetails>(`/movie/${content.id}`);
+      return { id: formatContentId("movie", movie.id), title: movie.title, year: releaseYear(movie.release_date) };
+    }
+    case "tv": {
+      const show = await tmdb.get<TvShowDetails>(`/tv/${content.id}`);
+      return { id: formatContentId("tv", show.id), title: show.name, year: releaseYear(show.first_air_date) };
+    }
+    default:
+      throw new Error("Only movies and TV series can be added to lists");
+  }
+}
+
+function formatEntry(entry: ListEntry, index: number): string {
+  const details = [
+    entry.rating !== undefined ? `Your rating: ${entry.rating}/10` : "",
+    entry.note ? `Note: ${entry.note}` : "",
+  ].filter(Boolean);
+
+  return `${index + 1}. ${entry.title} (${entry.year}) - ID: ${entry.id}${details.length ? `\n   ${details.join(" | ")}` : ""}`;
+}
+
+function formatList(list: UserList, page: Page<ListEntry>): string {
+  if (!list.entries.length) {
+    return `Your "${list.name}" list is empty.`;
+  }
+  // Number entries by their position in the whole list, not the page
+  const lines = page.items.map((entry) => formatEntry(entry, list.entries.indexOf(entry)));
+  return `Your "${list.name}" list (${list.entries.length} titles):\n\n${lines.join("\n")}${moreResults(page.nextCursor)}`;
+}
+
+const listName = z.string().default("watchlist").describe("List name: \"watchlist\", \"seen\" or any custom list name, e.g. \"date night\"");
+
+export const addToList = defineTool({
+  name: "add_to_list",
+  description: "Add a movie or TV series to one of the user's lists (their watchlist by default), optionally with a note and their own rating. Adding a title that is already on the list updates its note and rating. Marking a title as seen removes it from the watchlist.",
+  scope: "lists:write",
+  inputSchema: {
+    id: z.string().describe("Movie or TV series id from search, e.g. \"movie:550\" or \"tv:1399\""),
+    list: listName,
+    note: z.string().max(500).optional().describe("A short note to keep with the title"),
+    rating: z.number().min(0).max(10).optional().describe("The user's own rating from 0 to 10"),
+  },
+  outputSchema: {
+    list: z.string(),
+    added: z.boolean().describe("false when an existing entry was updated"),
+    removedFromWatchlist: z.boolean(),
+    entry: listEntrySchema,
+  },
+  handler: async ({ id, list, note, rating }, context) => {
+    const owner = ownerOf(context);
+    const title = await describeTitle(context.tmdb, id);
+
+    const added = await context.lists.add(owner, list, { ...title, note, rating });
+    const lines = [`${added ? "Added" : "Updated"} ${title.title} (${title.year}) ${added ? "to" : "on"} your "${list}" list.`];
+
+    const removedFromWatchlist = listKey(list) === "seen" && await context.lists.remove(owner, "watchlist", title.id);
+    if (removedFromWatchlist) {
+      lines.push("Removed it from your watchlist.");
+    }
+
+    const saved = await context.lists.get(owner, list);
+    const entry = saved.entries.find((item) => item.id === title.id)!;
+    return structuredResult({ list: saved.name, added, removedFromWatchlist, entry: entrySummary(entry) }, lines.join(" "));
+  },
+});
+
+export const removeFromList = defineTool({
+  name: "remove_from_list",
+  description: "Remove a movie or TV series from one of the user's lists. Custom lists are deleted once they are empty.",
+  scope: "lists:write",
+  inputSchema: {
+    id: z.string().describe("Movie or TV series id, e.g. \"movie:550\" or \"tv:1399\""),
+    list: listName,
+  },
+  outputSchema: {
+    list: z.string(),
+    id: z.string(),
+    removed: z.boolean().describe("false when the title was not on the list"),
+  },
+  handler: async ({ id, list }, context) => {
+    const content = parseContentId(id);
+    const typedId = formatContentId(content.type, content.id);
+    const removed = await context.lists.remove(ownerOf(context), list, typedId);
+
+    return structuredResult(
+      { list: listKey(list), id: typedId, removed },
+      removed ? `Removed ${id} from your "${list}" list.` : `${id} is not on your "${list}" list.`
+    );
+  },
+});
+
+export const getList = defineTool({
+  name: "get_list",
+  description: "Show the titles on one of the user's lists with their notes and ratings. Without a list name, gives an overview of all of the user's lists.",
+  inputSchema: {
+    list: z.string().optional().describe("List name, e.g. \"watchlist\", \"seen\" or a custom list. Omit to see every list"),
+    ...paginationInput,
+  },
+  outputSchema: {
+    // Set when a single list was requested
+    name: z.string().optional(),
+    entries: z.array(listEntrySchema).optional(),
+    nextCursor: nextCursorOutput,
+    // Set for the overview of every list
+    lists: z.array(z.object({ name: z.string(), count: z.number() })).optional(),
+  },
+  handler: async ({ list, cursor, limit }, context) => {
+    const owner = ownerOf(context);
+
+    if (list) {
+      const saved = await context.lists.get(owner, list);
+      const page = paginateArray(saved.entries, cursor, limit ?? context.config.resultLimit);
+      return structuredResult(
+        { name: saved.name, entries: page.items.map(entrySummary), nextCursor: page.nextCursor },
+        formatList(saved, page)
+      );
+    }
+
+    const lists = await context.lists.all(owner);
+    const overview = lists.map((item) => `- ${item.name}: ${item.entries.length} titles`).join("\n");
+    return structuredResult(
+      { lists: lists.map((item) => ({ name: item.name, count: item.entries.length })) },
+      `Your lists:\n\n${overview}`
+    );
+  },
+});
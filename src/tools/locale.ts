@@ -0,0 +1,21 @@
+import { z } from "zod";
+import type { TmdbClient } from "../tmdb/index.js";
+
+// ISO 639-1 language, optionally with an ISO 3166-1 country
+export const LANGUAGE_TAG = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+// ISO 3166-1 country; callers upper-case it
+export const REGION_CODE = /^[A-Za-z]{2}$/;
+
+export const localeInput = {
+  language: z.string().regex(LANGUAGE_TAG).optional().describe("Language for titles and overviews, e.g. \"de\" or \"pt-BR\". Defaults to the server's language"),
+  region: z.string().regex(REGION_CODE).optional().describe("ISO 3166-1 country for release dates and watch providers, e.g. \"DE\". Defaults to the server's region"),
+};
+
+/**
+ * The client a tool call should use: the server's own, or one localized by
+ * the call's `language` and `region` arguments.
+ */
+export function localizedClient(tmdb: TmdbClient, args: { language?: string; region?: string }): TmdbClient {
+  return args.language || args.region ? tmdb.withLocale({ language: args.language, region: args.region }) : tmdb;
+}
@@ -0,0 +1,92 @@
+import { z } from "zod";
+import { Movie, releaseYear, TMDBResponse } from "../tmdb/index.js";
+import { formatContentId, parseIdOf } from "./ids.js";
+import { localeInput } from "./locale.js";
+import { moreResults, nextCursorOutput, paginate, paginationInput } from "./pagination.js";
+import { movieSummary, titleSummarySchema } from "./schemas.js";
+import { defineTool, structuredResult } from "./types.js";
+
+export function formatMovie(movie: Movie, withId = false): string {
+  return (
+    `${movie.title} (${releaseYear(movie.release_date)})${withId ? ` - ID: ${formatContentId("movie", movie.id)}` : ""}\n` +
+    `Rating: ${movie.vote_average}/10\n` +
+    `Overview: ${movie.overview}\n`
+  );
+}
+
+export const searchMovies = defineTool({
+  name: "search_movies",
+  description: "Search for movies by title or keywords",
+  inputSchema: {
+    query: z.string().describe("Search query for movie titles"),
+    ...paginationInput,
+    ...localeInput,
+  },
+  outputSchema: {
+    results: z.array(titleSummarySchema),
+    nextCursor: nextCursorOutput,
+  },
+  handler: async ({ query, cursor, limit }, { tmdb, config }) => {
+    const { items, nextCursor } = await paginate(cursor, limit ?? config.resultLimit, (page) =>
+      tmdb.get<TMDBResponse>("/search/movie", { query, page })
+    );
+    const results = items.map((movie) => formatMovie(movie, true)).join("\n---\n");
+
+    return structuredResult(
+      { results: items.map(movieSummary), nextCursor },
+      `Found ${items.length} movies:\n\n${results}${moreResults(nextCursor)}`
+    );
+  },
+});
+
+export const getRecommendations = defineTool({
+  name: "get_recommendations",
+  description: "Get movie recommendations similar to a specific movie. Use this when the user asks for movies similar to or like a particular film they mention.",
+  inputSchema: {
+    movieId: z.string().describe("Movie id to base recommendations on, e.g. \"movie:550\""),
+    ...paginationInput,
+    ...localeInput,
+  },
+  outputSchema: {
+    results: z.array(titleSummarySchema),
+    nextCursor: nextCursorOutput,
+  },
+  handler: async ({ movieId, cursor, limit }, { tmdb, config }) => {
+    const id = parseIdOf("movie", movieId);
+    const { items, nextCursor } = await paginate(cursor, limit ?? config.resultLimit, (page) =>
+      tmdb.get<TMDBResponse>(`/movie/${id}/recommendations`, { page })
+    );
+    const recommendations = items.map((movie) => formatMovie(movie, true)).join("\n---\n");
+
+    return structuredResult(
+      { results: items.map(movieSummary), nextCursor },
+      `${items.length} recommendations:\n\n${recommendations}${moreResults(nextCursor)}`
+    );
+  },
+});
+
+export const getTrending = defineTool({
+  name: "get_trending",
+  description: "Get currently trending movies for a time window. Use this when the user asks about popular movies, trending films or what's hot now.",
+  inputSchema: {
+    timeWindow: z.enum(["day", "week"]).describe("Time window for trending movies"),
+    ...paginationInput,
+    ...localeInput,
+  },
+  outputSchema: {
+    timeWindow: z.enum(["day", "week"]),
+    results: z.array(titleSummarySchema),
+    nextCursor: nextCursorOutput,
+  },
+  handler: async ({ timeWindow, cursor, limit }, { tmdb, config }) => {
+    const { items, nextCursor } = await paginate(cursor, limit ?? config.resultLimit, (page) =>
+      tmdb.get<TMDBResponse>(`/trending/movie/${timeWindow}`, { page })
+    );
+    const trending = items.map((movie) => formatMovie(movie, true)).join("\n---\n");
+
+    return structuredResult(
+      { timeWindow, results: items.map(movieSummary), nextCursor },
+      `Trending movies for the ${timeWindow}:\n\n${trending}${moreResults(nextCursor)}`
+    );
+  },
+});
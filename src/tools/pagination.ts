@@ -0,0 +1,90 @@
+import { z } from "zod";
+
+// TMDB refuses page numbers above 500
+export const MAX_TMDB_PAGE = 500;
+export const MAX_LIMIT = 50;
+
+interface Position {
+  // TMDB page, for tools that walk TMDB's paged endpoints
+  page: number;
+  // Index of the next result within that page, or within the whole list
+  offset: number;
+}
+
+export interface Page<T> {
+  items: T[];
+  nextCursor?: string;
+}
+
+export const paginationInput = {
+  cursor: z.string().optional().describe("nextCursor from a previous call, to continue where it left off"),
+  limit: z.number().int().min(1).max(MAX_LIMIT).optional().describe("How many results to return. Defaults to the server's result limit"),
+};
+
+export const nextCursorOutput = z.string().optional().describe("Pass as `cursor` to get the next results; missing on the last page");
+
+function encodeCursor(position: Position): string {
+  return Buffer.from(JSON.stringify([position.page, position.offset])).toString("base64url");
+}
+
+function decodeCursor(cursor?: string): Position {
+  if (!cursor) return { page: 1, offset: 0 };
+
+  try {
+    const [page, offset] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (Number.isInteger(page) && Number.isInteger(offset) && page >= 1 && offset >= 0) {
+      return { page, offset };
+    }
+  } catch {
+    // Fall through to the error below
+  }
+  throw new Error("Invalid cursor, pass the nextCursor value from a previous result unchanged");
+}
+
+/**
+ * Collects `limit` results from a paged TMDB endpoint, starting at the
+ * cursor, fetching as many TMDB pages (20 results each) as that takes.
+ */
+export async function paginate<T>(
+  cursor: string | undefined,
+  limit: number,
+  fetchPage: (page: number) => Promise<{ results: T[]; total_pages: number }>
+): Promise<Page<T>> {
+  let { page, offset } = decodeCursor(cursor);
+  const items: T[] = [];
+
+  for (;;) {
+    const data = await fetchPage(page);
+    const taken = data.results.slice(offset, offset + limit - items.length);
+    items.push(...taken);
+    offset += taken.length;
+
+    const pageDone = offset >= data.results.length;
+    const lastPage = page >= Math.min(data.total_pages, MAX_TMDB_PAGE);
+    if (pageDone && lastPage) {
+      return { items };
+    }
+    if (pageDone) {
+      page++;
+      offset = 0;
+    }
+    if (items.length >= limit) {
+      return { items, nextCursor: encodeCursor({ page, offset }) };
+    }
+  }
+}
+
+// The same cursors over a list that is already in memory
+export function paginateArray<T>(all: T[], cursor: string | undefined, limit: number): Page<T> {
+  const { offset } = decodeCursor(cursor);
+  const end = offset + limit;
+  return {
+    items: all.slice(offset, end),
+    nextCursor: end < all.length ? encodeCursor({ page: 1, offset: end }) : undefined,
+  };
+}
+
+// Appended to text results so models that only read text can still page
+export function moreResults(nextCursor?: string): string {
+  return nextCursor ? `\n\nMore results available: call again with cursor "${nextCursor}".` : "";
+}
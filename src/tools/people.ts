@@ -0,0 +1,200 @@
+import { z } from "zod";
+import {
+  detailsAppend,
+  fillUntranslated,
+  PersonCredit,
+  PersonDetails,
+  PersonResponse,
+  releaseYear,
+  TmdbClient,
+} from "../tmdb/index.js";
+import { formatContentId, parseIdOf } from "./ids.js";
+import { localeInput } from "./locale.js";
+import { moreResults, nextCursorOutput, paginate, paginateArray, paginationInput } from "./pagination.js";
+import { creditSchema, creditSummary } from "./schemas.js";
+import { defineTool, structuredResult } from "./types.js";
+
+function creditTitle(credit: PersonCredit): string {
+  return credit.title || credit.name || "Untitled";
+}
+
+function creditDate(credit: PersonCredit): string {
+  return credit.release_date || credit.first_air_date || "";
+}
+
+function formatCredit(credit: PersonCredit): string {
+  const role = credit.character ? ` as ${credit.character}` : credit.job ? ` (${credit.job})` : "";
+  const kind = credit.media_type === "tv" ? "TV" : "Movie";
+  return `${creditTitle(credit)} (${releaseYear(creditDate(credit))}, ${kind})${role} - ID: ${formatContentId(credit.media_type, credit.id)}`;
+}
+
+export async function getPersonDetails(tmdb: TmdbClient, personId: string): Promise<PersonDetails> {
+  return fillUntranslated(
+    await tmdb.get<PersonDetails>(`/person/${personId}`, { append_to_response: detailsAppend(tmdb, "combined_credits") })
+  );
+}
+
+/**
+ * Titles a person is best known for: their most voted-on credits in the
+ * department they are known for, one entry per title.
+ */
+export function knownFor(person: PersonDetails, limit = 5): PersonCredit[] {
+  const credits = person.known_for_department === "Acting"
+    ? person.combined_credits?.cast ?? []
+    : person.combined_credits?.crew ?? [];
+
+  const seen = new Set<string>();
+  return [...credits]
+    .sort((a, b) => (b.vote_count ?? 0) - (a.vote_count ?? 0))
+    .filter((credit) => {
+      const key = `${credit.media_type}:${credit.id}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit);
+}
+
+export function formatPersonDetails(person: PersonDetails): string {
+  const lines = [
+    person.name,
+    "",
+    `Known For: ${person.known_for_department}`,
+    `Born: ${person.birthday || "Unknown"}${person.place_of_birth ? ` in ${person.place_of_birth}` : ""}`,
+  ];
+  if (person.deathday) lines.push(`Died: ${person.deathday}`);
+
+  lines.push("", `Biography: ${person.biography || "No biography available"}`);
+
+  const titles = knownFor(person).map((credit) => `- ${formatCredit(credit)}`);
+  if (titles.length) lines.push("", "Known For:", ...titles);
+
+  return lines.join("\n");
+}
+
+export const searchPeople = defineTool({
+  name: "search_people",
+  description: "Search for actors, directors and other film and TV people by name",
+  inputSchema: {
+    query: z.string().describe("Name of the person to search for"),
+    ...paginationInput,
+    ...localeInput,
+  },
+  outputSchema: {
+    results: z.array(z.object({
+      id: z.string().describe("Typed id, e.g. \"person:287\""),
+      name: z.string(),
+      knownForDepartment: z.string().optional(),
+      knownFor: z.array(z.string()).describe("Titles of their best-known work"),
+    })),
+    nextCursor: nextCursorOutput,
+  },
+  handler: async ({ query, cursor, limit }, { tmdb, config }) => {
+    const { items, nextCursor } = await paginate(cursor, limit ?? config.resultLimit, (page) =>
+      tmdb.get<PersonResponse>("/search/person", { query, page })
+    );
+
+    const results = items
+      .map((person) =>
+        `${person.name} - ID: ${formatContentId("person", person.id)}\n` +
+        `Known For: ${person.known_for_department}\n` +
+        `Notable Work: ${person.known_for?.map((work) => work.title || work.name).join(", ")}\n`
+      )
+      .join("\n---\n");
+
+    return structuredResult(
+      {
+        results: items.map((person) => ({
+          id: formatContentId("person", person.id),
+          name: person.name,
+          knownForDepartment: person.known_for_department || undefined,
+          knownFor: person.known_for?.map((work) => work.title || work.name || "Untitled") ?? [],
+        })),
+        nextCursor,
+      },
+      `Found ${items.length} people:\n\n${results}${moreResults(nextCursor)}`
+    );
+  },
+});
+
+export const getPerson = defineTool({
+  name: "get_person",
+  description: "Get a person's biography, birth details and best-known titles",
+  inputSchema: {
+    personId: z.string().describe("Person id, e.g. \"person:287\""),
+    ...localeInput,
+  },
+  outputSchema: {
+    id: z.string(),
+    name: z.string(),
+    knownForDepartment: z.string().optional(),
+    birthday: z.string().optional(),
+    deathday: z.string().optional(),
+    placeOfBirth: z.string().optional(),
+    biography: z.string().optional(),
+    knownFor: z.array(creditSchema),
+  },
+  handler: async ({ personId }, { tmdb }) => {
+    const person = await getPersonDetails(tmdb, parseIdOf("person", personId));
+
+    return structuredResult(
+      {
+        id: formatContentId("person", person.id),
+        name: person.name,
+        knownForDepartment: person.known_for_department || undefined,
+        birthday: person.birthday || undefined,
+        deathday: person.deathday || undefined,
+        placeOfBirth: person.place_of_birth || undefined,
+        biography: person.biography || undefined,
+        knownFor: knownFor(person).map(creditSummary),
+      },
+      formatPersonDetails(person)
+    );
+  },
+});
+
+export const getFilmography = defineTool({
+  name: "get_filmography",
+  description: "List a person's movie and TV credits, as cast and/or crew, sorted by date or popularity",
+  inputSchema: {
+    personId: z.string().describe("Person id, e.g. \"person:287\""),
+    role: z.enum(["cast", "crew", "all"]).default("all").describe("Which credits to include"),
+    mediaType: z.enum(["movie", "tv", "all"]).default("all").describe("Restrict to movies or TV"),
+    sortBy: z.enum(["date", "popularity"]).default("date").describe("Newest first, or most popular first"),
+    ...paginationInput,
+    ...localeInput,
+  },
+  outputSchema: {
+    id: z.string(),
+    name: z.string(),
+    total: z.number().describe("Matching credits across all pages"),
+    credits: z.array(creditSchema),
+    nextCursor: nextCursorOutput,
+  },
+  handler: async ({ personId, role, mediaType, sortBy, cursor, limit }, { tmdb, config }) => {
+    const person = await getPersonDetails(tmdb, parseIdOf("person", personId));
+    const cast = role === "crew" ? [] : person.combined_credits?.cast ?? [];
+    const crew = role === "cast" ? [] : person.combined_credits?.crew ?? [];
+
+    const credits = [...cast, ...crew]
+      .filter((credit) => mediaType === "all" || credit.media_type === mediaType)
+      .sort((a, b) =>
+        sortBy === "popularity"
+          ? (b.popularity ?? 0) - (a.popularity ?? 0)
+          : creditDate(b).localeCompare(creditDate(a))
+      );
+
+    const { items, nextCursor } = paginateArray(credits, cursor, limit ?? config.resultLimit);
+    const lines = items.map((credit) => `- ${formatCredit(credit)}`);
+    return structuredResult(
+      {
+        id: formatContentId("person", person.id),
+        name: person.name,
+        total: credits.length,
+        credits: items.map(creditSummary),
+        nextCursor,
+      },
+      `${person.name}: showing ${lines.length} of ${credits.length} credits (sorted by ${sortBy})\n\n${lines.join("\n")}${moreResults(nextCursor)}`
+    );
+  },
+});
@@ -0,0 +1,79 @@
+import { z } from "zod";
+import { Review, ReviewsResponse } from "../tmdb/index.js";
+import { formatContentId, parseContentId } from "./ids.js";
+import { moreResults, nextCursorOutput, paginate, paginationInput } from "./pagination.js";
+import { excerpt } from "./text.js";
+import { defineTool, structuredResult } from "./types.js";
+
+function authorRating(review: Review): number | undefined {
+  return review.author_details?.rating ?? undefined;
+}
+
+export const getReviews = defineTool({
+  name: "get_reviews",
+  description: "Read user reviews of a movie or TV series from TMDB as excerpts that end on a full sentence, each with a link to the full review. Filter by the rating the reviewer gave.",
+  inputSchema: {
+    id: z.string().describe("Movie or TV series id, e.g. \"movie:550\" or \"tv:1399\""),
+    minRating: z.number().min(0).max(10).optional().describe("Only reviews whose author rated the title at least this (0-10)"),
+    maxRating: z.number().min(0).max(10).optional().describe("Only reviews whose author rated the title at most this (0-10)"),
+    excerptLength: z.number().int().min(100).max(5000).default(600).describe("Longest excerpt in characters"),
+    ...paginationInput,
+  },
+  outputSchema: {
+    id: z.string(),
+    totalReviews: z.number().describe("Reviews on TMDB, before the rating filter"),
+    reviews: z.array(z.object({
+      author: z.string(),
+      rating: z.number().optional().describe("The author's rating, 0-10"),
+      createdAt: z.string(),
+      excerpt: z.string(),
+      truncated: z.boolean().describe("Whether the excerpt is shorter than the review"),
+      url: z.string().describe("The full review"),
+    })),
+    nextCursor: nextCursorOutput,
+  },
+  handler: async ({ id, minRating, maxRating, excerptLength, cursor, limit }, { tmdb, config }) => {
+    const content = parseContentId(id);
+    if (content.type === "person") {
+      throw new Error("Reviews are only available for movies and TV series");
+    }
+
+    const rated = minRating !== undefined || maxRating !== undefined;
+    const matches = (review: Review) => {
+      if (!rated) return true;
+      const rating = authorRating(review);
+      return rating !== undefined && rating >= (minRating ?? 0) && rating <= (maxRating ?? 10);
+    };
+
+    let totalReviews = 0;
+    const { items, nextCursor } = await paginate(cursor, limit ?? config.resultLimit, async (page) => {
+      // Most reviews are in English and TMDB filters them by language, so don't send one
+      const data = await tmdb.get<ReviewsResponse>(`/${content.type}/${content.id}/reviews`, { page, language: undefined });
+      totalReviews = data.total_results;
+      return { ...data, results: data.results.filter(matches) };
+    });
+
+    const typedId = formatContentId(content.type, content.id);
+    const reviews = items.map((review) => {
+      const text = excerpt(review.content, excerptLength);
+      return {
+        author: review.author_details?.name || review.author,
+        rating: authorRating(review),
+        createdAt: review.created_at.slice(0, 10),
+        excerpt: text,
+        truncated: text.length < review.content.replace(/\s+/g, " ").trim().length,
+        url: review.url,
+      };
+    });
+    const structured = { id: typedId, totalReviews, reviews, nextCursor };
+    if (!reviews.length) {
+      return structuredResult(structured, `No ${cursor ? "more " : ""}${rated ? "matching " : ""}reviews for ${typedId}.`);
+    }
+
+    const blocks = reviews.map((review) =>
+      `${review.author}${review.rating !== undefined ? ` (${review.rating}/10)` : ""}, ${review.createdAt}:\n${review.excerpt}` +
+      (review.truncated ? `\nFull review: ${review.url}` : "")
+    );
+    return structuredResult(structured, `Reviews for ${typedId} (${totalReviews} on TMDB):\n\n${blocks.join("\n---\n")}${moreResults(nextCursor)}`);
+  },
+});
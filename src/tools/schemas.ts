@@ -0,0 +1,117 @@
+import { z } from "zod";
+import {
+  Episode,
+  Movie,
+  PersonCredit,
+  PROVIDER_KINDS,
+  RegionProviders,
+  releaseYear,
+  TvShow,
+} from "../tmdb/index.js";
+import { formatContentId } from "./ids.js";
+
+// Output schemas shared by the tools, so every transport returns the same structured shapes
+
+export const titleSummarySchema = z.object({
+  id: z.string().describe("Typed id, e.g. \"movie:550\" or \"tv:1399\""),
+  type: z.enum(["movie", "tv"]),
+  title: z.string(),
+  year: z.string(),
+  rating: z.number().optional().describe("TMDB vote average, 0-10"),
+  overview: z.string().optional(),
+});
+
+export const creditSchema = z.object({
+  id: z.string(),
+  type: z.enum(["movie", "tv"]),
+  title: z.string(),
+  year: z.string(),
+  character: z.string().optional(),
+  job: z.string().optional(),
+});
+
+export const episodeSummarySchema = z.object({
+  code: z.string().describe("Season and episode, e.g. \"S01E01\""),
+  seasonNumber: z.number(),
+  episodeNumber: z.number(),
+  name: z.string(),
+  airDate: z.string().optional(),
+  rating: z.number().optional(),
+  overview: z.string().optional(),
+});
+
+const providerNames = z.array(z.string());
+
+// Provider names by offer type, in TMDB's display order
+export const watchProvidersSchema = z.object({
+  region: z.string(),
+  flatrate: providerNames.optional().describe("Included with a streaming subscription"),
+  free: providerNames.optional(),
+  ads: providerNames.optional(),
+  rent: providerNames.optional(),
+  buy: providerNames.optional(),
+  link: z.string().optional().describe("TMDB page with every offer"),
+});
+
+export type TitleSummary = z.infer<typeof titleSummarySchema>;
+
+export function movieSummary(movie: Movie): TitleSummary {
+  return {
+    id: formatContentId("movie", movie.id),
+    type: "movie",
+    title: movie.title,
+    year: releaseYear(movie.release_date),
+    rating: movie.vote_average ?? undefined,
+    overview: movie.overview || undefined,
+  };
+}
+
+export function showSummary(show: TvShow): TitleSummary {
+  return {
+    id: formatContentId("tv", show.id),
+    type: "tv",
+    title: show.name,
+    year: releaseYear(show.first_air_date),
+    rating: show.vote_average ?? undefined,
+    overview: show.overview || undefined,
+  };
+}
+
+export function creditSummary(credit: PersonCredit): z.infer<typeof creditSchema> {
+  return {
+    id: formatContentId(credit.media_type, credit.id),
+    type: credit.media_type,
+    title: credit.title || credit.name || "Untitled",
+    year: releaseYear(credit.release_date || credit.first_air_date),
+    character: credit.character || undefined,
+    job: credit.job || undefined,
+  };
+}
+
+export function episodeCode(episode: Pick<Episode, "season_number" | "episode_number">): string {
+  return `S${String(episode.season_number).padStart(2, "0")}E${String(episode.episode_number).padStart(2, "0")}`;
+}
+
+export function episodeSummary(episode: Episode): z.infer<typeof episodeSummarySchema> {
+  return {
+    code: episodeCode(episode),
+    seasonNumber: episode.season_number,
+    episodeNumber: episode.episode_number,
+    name: episode.name,
+    airDate: episode.air_date || undefined,
+    rating: episode.vote_average ?? undefined,
+    overview: episode.overview || undefined,
+  };
+}
+
+export function watchProvidersSummary(providers: RegionProviders, region: string): z.infer<typeof watchProvidersSchema> {
+  const summary: z.infer<typeof watchProvidersSchema> = { region, link: providers.link || undefined };
+  for (const kind of PROVIDER_KINDS) {
+    if (providers[kind]?.length) {
+      summary[kind] = [...providers[kind]!]
+        .sort((a, b) => a.display_priority - b.display_priority)
+        .map((provider) => provider.provider_name);
+    }
+  }
+  return summary;
+}
@@ -0,0 +1,30 @@
+/**
+ * Shortens text to at most `maxLength` characters, cutting at a word
+ * boundary and marking the cut with an ellipsis.
+ */
+export function snippet(text: string | undefined, maxLength = 200): string {
+  const normalized = (text ?? "").replace(/\s+/g, " ").trim();
+  if (normalized.length <= maxLength) return normalized;
+
+  const cut = normalized.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:.]+$/, "")}…`;
+}
+
+/**
+ * Shortens text to at most `maxLength` characters, ending at the last full
+ * sentence that fits. Falls back to `snippet` when that would leave less than
+ * half the allowed length, e.g. when the first sentence alone is too long.
+ */
+export function excerpt(text: string | undefined, maxLength: number): string {
+  const normalized = (text ?? "").replace(/\s+/g, " ").trim();
+  if (normalized.length <= maxLength) return normalized;
+
+  const cut = normalized.slice(0, maxLength - 1);
+  const sentenceEnds = [...cut.matchAll(/[.!?…]["')\]]*(?= )/g)];
+  const end = sentenceEnds.length ? sentenceEnds[sentenceEnds.length - 1] : undefined;
+  if (end?.index === undefined || end.index + end[0].length < maxLength / 2) {
+    return snippet(normalized, maxLength);
+  }
+  return `${cut.slice(0, end.index + end[0].length)} …`;
+}
@@ -0,0 +1,231 @@
+import { z } from "zod";
+import { Episode, getShowDetails, releaseYear, Season, TvResponse, TvShow, TvShowDetails } from "../tmdb/index.js";
+import { formatContentId, parseIdOf } from "./ids.js";
+import { localeInput } from "./locale.js";
+import { moreResults, nextCursorOutput, paginate, paginationInput } from "./pagination.js";
+import {
+  episodeCode,
+  episodeSummary,
+  episodeSummarySchema,
+  showSummary,
+  titleSummarySchema,
+} from "./schemas.js";
+import { defineTool, structuredResult, ToolOutput } from "./types.js";
+
+const showDetailsSchema = {
+  ...titleSummarySchema.shape,
+  firstAirDate: z.string().optional(),
+  status: z.string().optional(),
+  numberOfSeasons: z.number().optional(),
+  numberOfEpisodes: z.number().optional(),
+  genres: z.array(z.string()),
+  createdBy: z.array(z.string()),
+  networks: z.array(z.string()),
+  cast: z.array(z.object({ name: z.string(), character: z.string() })),
+  lastEpisode: episodeSummarySchema.optional(),
+  nextEpisode: episodeSummarySchema.optional(),
+  seasons: z.array(z.object({
+    seasonNumber: z.number(),
+    name: z.string(),
+    episodeCount: z.number(),
+    airDate: z.string().optional(),
+  })),
+};
+
+export function formatShow(show: TvShow, withId = false): string {
+  return (
+    `${show.name} (${releaseYear(show.first_air_date)})${withId ? ` - ID: ${formatContentId("tv", show.id)}` : ""}\n` +
+    `Rating: ${show.vote_average}/10\n` +
+    `Overview: ${show.overview}\n`
+  );
+}
+
+function formatEpisode(episode: Episode): string {
+  return `${episodeCode(episode)} ${episode.name} (${episode.air_date || "TBA"}) - Rating: ${episode.vote_average}/10`;
+}
+
+export function showDetails(show: TvShowDetails): ToolOutput<typeof showDetailsSchema> {
+  return {
+    ...showSummary(show),
+    firstAirDate: show.first_air_date || undefined,
+    status: show.status || undefined,
+    numberOfSeasons: show.number_of_seasons ?? undefined,
+    numberOfEpisodes: show.number_of_episodes ?? undefined,
+    genres: show.genres?.map((g) => g.name) ?? [],
+    createdBy: show.created_by?.map((c) => c.name) ?? [],
+    networks: show.networks?.map((n) => n.name) ?? [],
+    cast: show.credits?.cast?.slice(0, 5).map(({ name, character }) => ({ name, character })) ?? [],
+    lastEpisode: show.last_episode_to_air ? episodeSummary(show.last_episode_to_air) : undefined,
+    nextEpisode: show.next_episode_to_air ? episodeSummary(show.next_episode_to_air) : undefined,
+    seasons: show.seasons?.map((s) => ({
+      seasonNumber: s.season_number,
+      name: s.name,
+      episodeCount: s.episode_count,
+      airDate: s.air_date || undefined,
+    })) ?? [],
+  };
+}
+
+export function formatShowDetails(show: TvShowDetails): string {
+  const lines = [
+    `${show.name} (${releaseYear(show.first_air_date)})`,
+    "",
+    `First Air Date: ${show.first_air_date}`,
+    `Status: ${show.status}`,
+    `Rating: ${show.vote_average}/10`,
+    `Seasons: ${show.number_of_seasons}, Episodes: ${show.number_of_episodes}`,
+    "",
+    `Overview: ${show.overview}`,
+    "",
+    `Genres: ${show.genres?.map((g) => g.name).join(", ")}`,
+    `Created By: ${show.created_by?.map((c) => c.name).join(", ")}`,
+    `Networks: ${show.networks?.map((n) => n.name).join(", ")}`,
+    `Main Cast: ${show.credits?.cast?.slice(0, 5).map((a) => a.name).join(", ")}`,
+  ];
+
+  if (show.last_episode_to_air) lines.push(`Last Episode: ${formatEpisode(show.last_episode_to_air)}`);
+  if (show.next_episode_to_air) lines.push(`Next Episode: ${formatEpisode(show.next_episode_to_air)}`);
+
+  const seasons = show.seasons?.map((s) => `- ${s.name}: ${s.episode_count} episodes (${s.air_date || "TBA"})`);
+  if (seasons?.length) lines.push("", "Seasons:", ...seasons);
+
+  return lines.join("\n");
+}
+
+export const searchTv = defineTool({
+  name: "search_tv",
+  description: "Search for TV series by name or keywords",
+  inputSchema: {
+    query: z.string().describe("Search query for TV series names"),
+    ...paginationInput,
+    ...localeInput,
+  },
+  outputSchema: {
+    results: z.array(titleSummarySchema),
+    nextCursor: nextCursorOutput,
+  },
+  handler: async ({ query, cursor, limit }, { tmdb, config }) => {
+    const { items, nextCursor } = await paginate(cursor, limit ?? config.resultLimit, (page) =>
+      tmdb.get<TvResponse>("/search/tv", { query, page })
+    );
+    const results = items.map((show) => formatShow(show, true)).join("\n---\n");
+
+    return structuredResult(
+      { results: items.map(showSummary), nextCursor },
+      `Found ${items.length} TV series:\n\n${results}${moreResults(nextCursor)}`
+    );
+  },
+});
+
+export const getTvDetails = defineTool({
+  name: "get_tv_details",
+  description: "Get details for a TV series, including status, networks, cast and a season-by-season episode count",
+  inputSchema: {
+    tvId: z.string().describe("TV series id, e.g. \"tv:1399\""),
+    ...localeInput,
+  },
+  outputSchema: showDetailsSchema,
+  handler: async ({ tvId }, { tmdb }) => {
+    const show = await getShowDetails(tmdb, parseIdOf("tv", tvId));
+    return structuredResult(showDetails(show), formatShowDetails(show));
+  },
+});
+
+export const getTvSeason = defineTool({
+  name: "get_tv_season",
+  description: "List the episodes of one season of a TV series",
+  inputSchema: {
+    tvId: z.string().describe("TV series id, e.g. \"tv:1399\""),
+    seasonNumber: z.number().int().min(0).describe("Season number (0 is specials)"),
+    ...localeInput,
+  },
+  outputSchema: {
+    name: z.string(),
+    seasonNumber: z.number(),
+    airDate: z.string().optional(),
+    overview: z.string().optional(),
+    episodes: z.array(episodeSummarySchema),
+  },
+  handler: async ({ tvId, seasonNumber }, { tmdb }) => {
+    const season = await tmdb.get<Season>(`/tv/${parseIdOf("tv", tvId)}/season/${seasonNumber}`);
+    const episodes = season.episodes.map(formatEpisode).join("\n");
+
+    return structuredResult(
+      {
+        name: season.name,
+        seasonNumber: season.season_number,
+        airDate: season.air_date || undefined,
+        overview: season.overview || undefined,
+        episodes: season.episodes.map(episodeSummary),
+      },
+      `${season.name} (${season.episodes.length} episodes, ${season.air_date || "TBA"})\n\n` +
+      `${season.overview ? `${season.overview}\n\n` : ""}${episodes}`
+    );
+  },
+});
+
+export const getTvEpisode = defineTool({
+  name: "get_tv_episode",
+  description: "Get details for a single TV episode",
+  inputSchema: {
+    tvId: z.string().describe("TV series id, e.g. \"tv:1399\""),
+    seasonNumber: z.number().int().min(0).describe("Season number"),
+    episodeNumber: z.number().int().min(1).describe("Episode number within the season"),
+    ...localeInput,
+  },
+  outputSchema: {
+    ...episodeSummarySchema.shape,
+    runtime: z.number().optional().describe("Minutes"),
+    directors: z.array(z.string()),
+    writers: z.array(z.string()),
+    guestStars: z.array(z.object({ name: z.string(), character: z.string() })),
+  },
+  handler: async ({ tvId, seasonNumber, episodeNumber }, { tmdb }) => {
+    const episode = await tmdb.get<Episode>(`/tv/${parseIdOf("tv", tvId)}/season/${seasonNumber}/episode/${episodeNumber}`);
+
+    const directors = episode.crew?.filter((c) => c.job === "Director").map((c) => c.name) ?? [];
+    const writers = episode.crew?.filter((c) => c.job === "Writer").map((c) => c.name) ?? [];
+    const guestStars = episode.guest_stars?.slice(0, 5).map(({ name, character }) => ({ name, character })) ?? [];
+
+    const lines = [
+      formatEpisode(episode),
+      episode.runtime ? `Runtime: ${episode.runtime} minutes` : undefined,
+      "",
+      `Overview: ${episode.overview}`,
+      `Directed By: ${directors.join(", ")}`,
+      `Written By: ${writers.join(", ")}`,
+      `Guest Stars: ${guestStars.map((g) => `${g.name} as ${g.character}`).join(", ")}`,
+    ];
+
+    return structuredResult(
+      { ...episodeSummary(episode), runtime: episode.runtime || undefined, directors, writers, guestStars },
+      lines.filter((line) => line !== undefined).join("\n")
+    );
+  },
+});
+
+export const getTvRecommendations = defineTool({
+  name: "get_tv_recommendations",
+  description: "Get TV series recommendations similar to a specific series",
+  inputSchema: {
+    tvId: z.string().describe("TV series id to base recommendations on, e.g. \"tv:1399\""),
+    ...paginationInput,
+    ...localeInput,
+  },
+  outputSchema: {
+    results: z.array(titleSummarySchema),
+    nextCursor: nextCursorOutput,
+  },
+  handler: async ({ tvId, cursor, limit }, { tmdb, config }) => {
+    const id = parseIdOf("tv", tvId);
+    const { items, nextCursor } = await paginate(cursor, limit ?? config.resultLimit, (page) =>
+      tmdb.get<TvResponse>(`/tv/${id}/recommendations`, { page })
+    );
+    const recommendations = items.map((show) => formatShow(show, true)).join("\n---\n");
+
+    return structuredResult(
+      { results: items.map(showSummary), nextCursor },
+      `${items.length} recommendations:\n\n${recommendations}${moreResults(nextCursor)}`
+    );
+  },
+});
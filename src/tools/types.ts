@@ -0,0 +1,61 @@
+import type { AuthInfo } from "@modelcontextprotocol/sdk/server/auth/types.js";
+import type { CallToolResult } from "@modelcontextprotocol/sdk/types.js";
+import { z } from "zod";
+import type { Scope } from "../auth/scopes.js";
+import type { ServerConfig } from "../config.js";
+import type { ListStore } from "../lists/store.js";
+import type { ImageCache, TmdbAccounts, TmdbClient } from "../tmdb/index.js";
+
+export type ToolArgs<Shape extends z.ZodRawShape> = { [K in keyof Shape]: z.infer<Shape[K]> };
+
+export interface ServerContext {
+  config: ServerConfig;
+  tmdb: TmdbClient;
+  lists: ListStore;
+  accounts: TmdbAccounts;
+  images: ImageCache;
+}
+
+export interface ToolContext extends ServerContext {
+  // Set when the transport authenticated the caller
+  auth?: AuthInfo;
+  // The signed-in local user, for OAuth tokens
+  user?: string;
+}
+
+export type ToolOutput<Output extends z.ZodRawShape> = z.infer<z.ZodObject<Output>>;
+
+// A result whose structured content matches the tool's output schema
+export interface ToolResult<T extends Record<string, unknown>> extends CallToolResult {
+  structuredContent: T;
+}
+
+export interface ToolDefinition<Shape extends z.ZodRawShape = z.ZodRawShape, Output extends z.ZodRawShape = z.ZodRawShape> {
+  name: string;
+  description: string;
+  // Scope the caller's token needs to see and call the tool; defaults to "read"
+  scope?: Scope;
+  inputSchema: Shape;
+  outputSchema: Output;
+  handler: (args: ToolArgs<Shape>, context: ToolContext) => Promise<ToolResult<ToolOutput<Output>>>;
+}
+
+// Key for per-user data; unauthenticated and API-key sessions share one owner
+export function ownerOf({ user }: ToolContext): string {
+  return user ?? "local";
+}
+
+// Keeps the handler's argument and result types tied to the tool's schemas
+export function defineTool<Shape extends z.ZodRawShape, Output extends z.ZodRawShape>(
+  tool: ToolDefinition<Shape, Output>
+): ToolDefinition<Shape, Output> {
+  return tool;
+}
+
+/**
+ * Returns `data` as structured content, with `text` as the rendering for
+ * clients and models that only read text content.
+ */
+export function structuredResult<T extends Record<string, unknown>>(data: T, text: string): ToolResult<T> {
+  return { content: [{ type: "text", text }], structuredContent: data };
+}
@@ -0,0 +1,99 @@
+import { z } from "zod";
+import { Video, VideosResponse } from "../tmdb/index.js";
+import { formatContentId, parseContentId } from "./ids.js";
+import { localeInput } from "./locale.js";
+import { moreResults, nextCursorOutput, paginateArray, paginationInput } from "./pagination.js";
+import { defineTool, structuredResult } from "./types.js";
+
+// Ranking order; TMDB has no other video types
+const VIDEO_TYPES = ["Trailer", "Teaser", "Clip", "Featurette", "Behind the Scenes", "Bloopers", "Opening Credits"] as const;
+
+const WATCH_URLS: Record<string, (key: string) => string> = {
+  YouTube: (key) => `https://www.youtube.com/watch?v=${key}`,
+  Vimeo: (key) => `https://vimeo.com/${key}`,
+};
+
+// By type, then in the order of the requested languages, official ones first, newest first
+function rankVideos(videos: Video[], languages: string[]): Video[] {
+  const typeRank = (video: Video) => (VIDEO_TYPES as readonly string[]).indexOf(video.type);
+  return [...videos].sort((a, b) =>
+    typeRank(a) - typeRank(b) ||
+    languages.indexOf(a.iso_639_1) - languages.indexOf(b.iso_639_1) ||
+    Number(b.official) - Number(a.official) ||
+    (b.published_at ?? "").localeCompare(a.published_at ?? "")
+  );
+}
+
+export const getVideos = defineTool({
+  name: "get_videos",
+  description: "Find trailers, teasers and clips for a movie or TV series, with links to watch them on YouTube or Vimeo. Trailers come first, then teasers and clips, newest first.",
+  inputSchema: {
+    id: z.string().describe("Movie or TV series id, e.g. \"movie:550\" or \"tv:1399\""),
+    types: z.array(z.enum(VIDEO_TYPES)).optional().describe("Only these kinds of video. Defaults to trailers, teasers and clips"),
+    officialOnly: z.boolean().default(true).describe("Only videos published by the studio or network"),
+    videoLanguages: z.array(z.string().length(2)).optional().describe("ISO 639-1 languages of the videos, e.g. [\"de\"]. Defaults to the call's language and English"),
+    ...paginationInput,
+    ...localeInput,
+  },
+  outputSchema: {
+    id: z.string(),
+    videos: z.array(z.object({
+      name: z.string(),
+      type: z.string(),
+      site: z.string(),
+      url: z.string().describe("Watch URL"),
+      language: z.string().describe("ISO 639-1 language"),
+      official: z.boolean(),
+      publishedAt: z.string().optional(),
+    })),
+    nextCursor: nextCursorOutput,
+  },
+  handler: async ({ id, types, officialOnly, videoLanguages, cursor, limit }, { tmdb, config }) => {
+    const content = parseContentId(id);
+    if (content.type === "person") {
+      throw new Error("Videos are only available for movies and TV series");
+    }
+
+    // TMDB only returns videos in the request's language unless asked for more
+    const language = tmdb.locale.language?.split("-")[0];
+    const languages = videoLanguages?.map((code) => code.toLowerCase()) ?? [...new Set([language ?? "en", "en"])];
+    const data = await tmdb.get<VideosResponse>(`/${content.type}/${content.id}/videos`, {
+      include_video_language: languages.join(","),
+    });
+
+    const wanted: readonly string[] = types ?? ["Trailer", "Teaser", "Clip"];
+    const videos = rankVideos(
+      data.results.filter((video) =>
+        WATCH_URLS[video.site] &&
+        wanted.includes(video.type) &&
+        languages.includes(video.iso_639_1) &&
+        (!officialOnly || video.official)
+      ),
+      languages
+    );
+    const { items, nextCursor } = paginateArray(videos, cursor, limit ?? config.resultLimit);
+
+    const typedId = formatContentId(content.type, content.id);
+    const structured = {
+      id: typedId,
+      videos: items.map((video) => ({
+        name: video.name,
+        type: video.type,
+        site: video.site,
+        url: WATCH_URLS[video.site](video.key),
+        language: video.iso_639_1,
+        official: video.official,
+        publishedAt: video.published_at?.slice(0, 10),
+      })),
+      nextCursor,
+    };
+    if (!items.length) {
+      return structuredResult(structured, `No ${officialOnly ? "official " : ""}videos found for ${typedId}.`);
+    }
+
+    const lines = structured.videos.map((video) =>
+      `- ${video.name} (${video.type}, ${video.language}${video.publishedAt ? `, ${video.publishedAt}` : ""}): ${video.url}`
+    );
+    return structuredResult(structured, `Videos for ${typedId}:\n\n${lines.join("\n")}${moreResults(nextCursor)}`);
+  },
+});
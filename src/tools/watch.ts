@@ -0,0 +1,37 @@
+import { z } from "zod";
+import { formatWatchProviders, getWatchProviders } from "../tmdb/index.js";
+import { formatContentId, parseContentId } from "./ids.js";
+import { watchProvidersSchema, watchProvidersSummary } from "./schemas.js";
+import { defineTool, structuredResult } from "./types.js";
+
+export const getWhereToWatch = defineTool({
+  name: "where_to_watch",
+  description: "List where a movie or TV series can be streamed, rented or bought in a region. Use this when the user asks where they can watch something.",
+  inputSchema: {
+    id: z.string().describe("Movie or TV series id from search, e.g. \"movie:550\" or \"tv:1399\""),
+    region: z.string().length(2).optional().describe("ISO 3166-1 country code, e.g. \"US\" or \"DE\". Defaults to the server's configured region"),
+  },
+  outputSchema: {
+    id: z.string(),
+    region: z.string(),
+    providers: watchProvidersSchema.optional().describe("Missing when TMDB has no offers in the region"),
+  },
+  handler: async ({ id, region }, { tmdb, config }) => {
+    const content = parseContentId(id);
+    if (content.type === "person") {
+      throw new Error("Watch providers are only available for movies and TV series");
+    }
+
+    const country = (region || config.watchRegion || "US").toUpperCase();
+    const providers = await getWatchProviders(tmdb, content.type, content.id, country);
+
+    return structuredResult(
+      {
+        id: formatContentId(content.type, content.id),
+        region: country,
+        providers: providers && watchProvidersSummary(providers, country),
+      },
+      `Where to watch in ${country}:\n\n${formatWatchProviders(providers, country)}\n\nProvider data by JustWatch.`
+    );
+  },
+});
@@ -0,0 +1,160 @@
+import { randomUUID } from "node:crypto";
+import cors from "cors";
+import express, { Express, RequestHandler } from "express";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { createAuth } from "../auth/index.js";
+import { createServer, SERVER_VERSION } from "../server.js";
+import type { ServerContext } from "../tools/types.js";
+
+function mountSse(app: Express, requireAuth: RequestHandler, context: ServerContext): void {
+  const transports: Record<string, SSEServerTransport> = {};
+
+  app.get("/sse", requireAuth, async (req, res) => {
+    console.log("SSE connection from:", req.headers["user-agent"]);
+
+    try {
+      const transport = new SSEServerTransport("/messages", res);
+      transports[transport.sessionId] = transport;
+
+      res.on("close", () => {
+        delete transports[transport.sessionId];
+      });
+
+      await createServer(context, req.auth).connect(transport);
+    } catch (error) {
+      console.error("SSE connection error:", error);
+      if (!res.headersSent) {
+        res.status(500).end();
+      }
+    }
+  });
+
+  app.post("/messages", requireAuth, async (req, res) => {
+    try {
+      const transport = transports[req.query.sessionId as string];
+      if (transport) {
+        await transport.handlePostMessage(req, res, req.body);
+      } else {
+        res.status(400).send("No transport found for sessionId");
+      }
+    } catch (error) {
+      console.error("Messages error:", error);
+      if (!res.headersSent) {
+        res.status(500).end();
+      }
+    }
+  });
+}
+
+function mountStreamableHttp(app: Express, requireAuth: RequestHandler, context: ServerContext): void {
+  const transports: Record<string, StreamableHTTPServerTransport> = {};
+
+  app.post("/mcp", requireAuth, async (req, res) => {
+    try {
+      const sessionId = req.headers["mcp-session-id"] as string | undefined;
+      let transport = sessionId ? transports[sessionId] : undefined;
+
+      if (!transport) {
+        if (sessionId || !isInitializeRequest(req.body)) {
+          res.status(400).json({
+            jsonrpc: "2.0",
+            error: { code: -32000, message: "Bad Request: No valid session ID provided" },
+            id: null,
+          });
+          return;
+        }
+
+        const created = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: (id) => {
+            transports[id] = created;
+          },
+        });
+        created.onclose = () => {
+          if (created.sessionId) delete transports[created.sessionId];
+        };
+        await createServer(context, req.auth).connect(created);
+        transport = created;
+      }
+
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      console.error("MCP request error:", error);
+      if (!res.headersSent) {
+        res.status(500).end();
+      }
+    }
+  });
+
+  // GET opens the server-to-client stream, DELETE ends the session
+  const handleSessionRequest: RequestHandler = async (req, res) => {
+    const transport = transports[req.headers["mcp-session-id"] as string];
+    if (!transport) {
+      res.status(400).send("Invalid or missing session ID");
+      return;
+    }
+    await transport.handleRequest(req, res);
+  };
+
+  app.get("/mcp", requireAuth, handleSessionRequest);
+  app.delete("/mcp", requireAuth, handleSessionRequest);
+}
+
+export function createApp(context: ServerContext): Express {
+  const { config, tmdb } = context;
+  const app = express();
+  // Deployments sit behind a TLS-terminating proxy; OAuth metadata needs the public https URLs.
+  // Only the configured hops are trusted, so clients can't pick their own address with X-Forwarded-For
+  app.set("trust proxy", config.trustProxy);
+  app.use(cors({
+    origin: true,
+    credentials: true,
+    methods: ["GET", "POST", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "Cache-Control", "Accept", "x-api-key", "mcp-session-id"],
+    exposedHeaders: ["mcp-session-id"],
+  }));
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  const auth = createAuth(config);
+  if (auth.router) {
+    app.use(auth.router);
+  }
+
+  if (config.transport === "sse") {
+    mountSse(app, auth.requireAuth, context);
+  } else {
+    mountStreamableHttp(app, auth.requireAuth, context);
+  }
+
+  app.get("/", (_req, res) => {
+    res.json({
+      name: "TMDB MCP Server",
+      version: SERVER_VERSION,
+      status: "running",
+      transport: config.transport,
+      auth: config.auth,
+      endpoints: config.transport === "sse" ? { sse: "/sse", messages: "/messages" } : { mcp: "/mcp" },
+    });
+  });
+
+  app.get("/health", (_req, res) => {
+    res.json({ status: "healthy", timestamp: new Date().toISOString(), cache: tmdb.cache?.stats() });
+  });
+
+  return app;
+}
+
+export function startHttp(context: ServerContext): void {
+  const { config } = context;
+  createApp(context).listen(config.port, () => {
+    console.log(`TMDB MCP Server running on port ${config.port} (${config.transport}, auth: ${config.auth})`);
+    if (config.transport === "sse") {
+      console.log(`SSE endpoint: http://localhost:${config.port}/sse`);
+    } else {
+      console.log(`MCP endpoint: http://localhost:${config.port}/mcp`);
+    }
+  });
+}
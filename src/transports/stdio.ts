@@ -0,0 +1,8 @@
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { createServer } from "../server.js";
+import type { ServerContext } from "../tools/types.js";
+
+export async function startStdio(context: ServerContext): Promise<void> {
+  const server = createServer(context);
+  await server.connect(new StdioServerTransport());
+}
@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import type { AddressInfo } from "node:net";
+import { after, before, test } from "node:test";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import type { CallToolResult } from "@modelcontextprotocol/sdk/types.js";
+import { MemoryAuthStore } from "../src/auth/store.js";
+import { loadConfig } from "../src/config.js";
+import { ListStore } from "../src/lists/store.js";
+import { createServer } from "../src/server.js";
+import { ImageCache, TmdbAccounts, TmdbClient } from "../src/tmdb/index.js";
+import { createMockAccountApi } from "./mock-tmdb.js";
+
+const mock = createMockAccountApi("tester").listen(0);
+const client = new Client({ name: "account-flow-test", version: "1.0.0" });
+
+before(async () => {
+  const baseUrl = `http://localhost:${(mock.address() as AddressInfo).port}`;
+  const config = loadConfig([], { TMDB_API_KEY: "mock", TMDB_READ_ACCESS_TOKEN: "mock", TMDB_BASE_URL: baseUrl });
+  const tmdb = new TmdbClient({ apiKey: config.tmdbApiKey, baseUrl, maxRetries: 0 });
+  const server = createServer({
+    config,
+    tmdb,
+    lists: new ListStore(new MemoryAuthStore()),
+    accounts: new TmdbAccounts(tmdb, new MemoryAuthStore(), config.tmdbReadAccessToken),
+    images: new ImageCache(),
+  });
+
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.connect(serverTransport);
+  await client.connect(clientTransport);
+});
+
+after(async () => {
+  await client.close();
+  mock.close();
+});
+
+async function call(name: string, args: Record<string, unknown> = {}) {
+  const result = (await client.callTool({ name, arguments: args })) as CallToolResult;
+  return { ...result, structured: result.structuredContent as Record<string, any> | undefined };
+}
+
+test("links, uses and unlinks a TMDB account", async () => {
+  const pending = await call("connect_tmdb_account");
+  assert.equal(pending.structured?.status, "pending");
+  assert.match(pending.structured?.approvalUrl, /^https:\/\/www\.themoviedb\.org\/auth\/access\?request_token=/);
+
+  const linked = await call("connect_tmdb_account");
+  assert.deepEqual(linked.structured, { status: "linked", username: "tester" });
+
+  const rated = await call("rate_title", { id: "movie:550", rating: 8.5 });
+  assert.deepEqual(rated.structured, { id: "movie:550", rating: 8.5 });
+
+  const added = await call("update_tmdb_list", { id: "tv:1399", list: "watchlist" });
+  assert.deepEqual(added.structured, { id: "tv:1399", list: "watchlist", onList: true });
+
+  const ratings = await call("get_tmdb_list", { list: "rated" });
+  assert.equal(ratings.structured?.totalResults, 1);
+  assert.equal(ratings.structured?.results[0].id, "movie:550");
+  assert.equal(ratings.structured?.results[0].yourRating, 8.5);
+
+  const watchlist = await call("get_tmdb_list", { list: "watchlist", mediaType: "tv" });
+  assert.deepEqual(watchlist.structured?.results.map((item: { id: string }) => item.id), ["tv:1399"]);
+
+  const removed = await call("update_tmdb_list", { id: "tv:1399", list: "watchlist", add: false });
+  assert.equal(removed.structured?.onList, false);
+  const emptied = await call("get_tmdb_list", { list: "watchlist", mediaType: "tv" });
+  assert.equal(emptied.structured?.totalResults, 0);
+
+  const disconnected = await call("disconnect_tmdb_account");
+  assert.deepEqual(disconnected.structured, { unlinked: true });
+
+  const afterUnlink = await call("get_tmdb_list", { list: "rated" });
+  assert.equal(afterUnlink.isError, true);
+  assert.match(JSON.stringify(afterUnlink.content), /No TMDB account is linked yet/);
+});
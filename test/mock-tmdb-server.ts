@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+
+import { parseFlags } from "../src/config.js";
+import { createMockAccountApi } from "./mock-tmdb.js";
+
+// Serves the mock TMDB account API for trying out and testing the account tools
+const flags = parseFlags(process.argv.slice(2));
+const port = Number(flags.port || 4010);
+
+createMockAccountApi(flags.username).listen(port, () => {
+  console.log(`Mock TMDB account API on http://localhost:${port}`);
+  console.log(`Run the server with TMDB_BASE_URL=http://localhost:${port} TMDB_READ_ACCESS_TOKEN=mock`);
+});
@@ -0,0 +1,159 @@
+import { randomUUID } from "node:crypto";
+import express, { Express, Request, Response } from "express";
+
+interface MockAccount {
+  accessToken: string;
+  accountObjectId: string;
+  sessionId: string;
+  accountId: number;
+  username: string;
+  // Keyed by "movie:550"
+  ratings: Map<string, { value: number; created_at: string }>;
+  favorites: Set<string>;
+  watchlist: Set<string>;
+}
+
+const PAGE_SIZE = 20;
+
+/**
+ * A stand-in for TMDB's v4 auth flow and the account endpoints used by the
+ * account tools, keeping everything in memory. Request tokens are approved
+ * as soon as they are created, so linking completes on the second
+ * `connect_tmdb_account` call. Movie and TV lookups return placeholder titles.
+ *
+ * Point the server at it with TMDB_BASE_URL=http://localhost:<port>.
+ */
+export function createMockAccountApi(username = "mock-user"): Express {
+  const app = express();
+  app.use(express.json());
+
+  const requestTokens = new Set<string>();
+  const accounts: MockAccount[] = [];
+  let nextAccountId = 1;
+
+  const fail = (res: Response, status: number, message: string) => {
+    res.status(status).json({ success: false, status_message: message });
+  };
+  const bySession = (req: Request) => accounts.find((account) => account.sessionId === req.query.session_id);
+  const byToken = (req: Request) => accounts.find((account) => req.headers.authorization === `Bearer ${account.accessToken}`);
+
+  app.post("/4/auth/request_token", (_req, res) => {
+    const token = randomUUID();
+    requestTokens.add(token);
+    res.json({ success: true, request_token: token });
+  });
+
+  app.post("/4/auth/access_token", (req, res) => {
+    if (!requestTokens.delete(req.body?.request_token)) {
+      fail(res, 401, "The request token has not been approved.");
+      return;
+    }
+
+    const account: MockAccount = {
+      accessToken: randomUUID(),
+      accountObjectId: randomUUID().replace(/-/g, ""),
+      sessionId: randomUUID(),
+      accountId: nextAccountId++,
+      username,
+      ratings: new Map(),
+      favorites: new Set(),
+      watchlist: new Set(),
+    };
+    accounts.push(account);
+    res.json({ success: true, access_token: account.accessToken, account_id: account.accountObjectId });
+  });
+
+  app.delete("/4/auth/access_token", (req, res) => {
+    const index = accounts.findIndex((account) => account.accessToken === req.body?.access_token);
+    if (index !== -1) accounts.splice(index, 1);
+    res.json({ success: true });
+  });
+
+  app.post("/3/authentication/session/convert/4", (req, res) => {
+    const account = accounts.find((candidate) => candidate.accessToken === req.body?.access_token);
+    if (!account) {
+      fail(res, 401, "Invalid access token.");
+      return;
+    }
+    res.json({ success: true, session_id: account.sessionId });
+  });
+
+  app.get("/3/account", (req, res) => {
+    const account = bySession(req);
+    if (!account) {
+      fail(res, 401, "Invalid session.");
+      return;
+    }
+    res.json({ id: account.accountId, username: account.username });
+  });
+
+  app.all("/3/:type(movie|tv)/:id/rating", (req, res) => {
+    const account = bySession(req);
+    if (!account) {
+      fail(res, 401, "Invalid session.");
+      return;
+    }
+
+    const key = `${req.params.type}:${req.params.id}`;
+    if (req.method === "DELETE") {
+      account.ratings.delete(key);
+    } else {
+      const value = Number(req.body?.value);
+      if (!(value >= 0.5 && value <= 10 && value * 2 === Math.round(value * 2))) {
+        fail(res, 400, "Value invalid: Values must be a multiple of 0.50.");
+        return;
+      }
+      account.ratings.set(key, { value, created_at: new Date().toISOString() });
+    }
+    res.status(201).json({ success: true });
+  });
+
+  app.post("/3/account/:accountId/:list(favorite|watchlist)", (req, res) => {
+    const account = bySession(req);
+    if (!account || String(account.accountId) !== req.params.accountId) {
+      fail(res, 401, "Invalid session.");
+      return;
+    }
+
+    const { media_type, media_id } = req.body ?? {};
+    const set = req.params.list === "favorite" ? account.favorites : account.watchlist;
+    const key = `${media_type}:${media_id}`;
+    if (req.body?.[req.params.list]) set.add(key);
+    else set.delete(key);
+    res.status(201).json({ success: true });
+  });
+
+  app.get("/4/account/:objectId/:type(movie|tv)/:list(rated|favorites|watchlist)", (req, res) => {
+    const account = byToken(req);
+    if (!account || account.accountObjectId !== req.params.objectId) {
+      fail(res, 401, "Invalid access token.");
+      return;
+    }
+
+    const { type, list } = req.params;
+    const keys = list === "rated" ? [...account.ratings.keys()] : [...(list === "favorites" ? account.favorites : account.watchlist)];
+    const items = keys
+      .filter((key) => key.startsWith(`${type}:`))
+      .map((key) => ({ ...placeholder(type, Number(key.split(":")[1])), account_rating: account.ratings.get(key) }));
+
+    const page = Math.max(1, Number(req.query.page) || 1);
+    res.json({
+      page,
+      results: items.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE),
+      total_pages: Math.max(1, Math.ceil(items.length / PAGE_SIZE)),
+      total_results: items.length,
+    });
+  });
+
+  app.get("/3/:type(movie|tv)/:id", (req, res) => {
+    res.json(placeholder(req.params.type, Number(req.params.id)));
+  });
+
+  return app;
+}
+
+function placeholder(type: string, id: number) {
+  return type === "movie"
+    ? { id, title: `Mock Movie ${id}`, release_date: "2000-01-01", vote_average: 7 }
+    : { id, name: `Mock Series ${id}`, first_air_date: "2000-01-01", vote_average: 7 };
+}
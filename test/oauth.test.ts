@@ -0,0 +1,278 @@
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { mkdtempSync, rmSync } from "node:fs";
+import type { Server } from "node:http";
+import type { AddressInfo } from "node:net";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, mock, test } from "node:test";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { FileAuthStore, MemoryAuthStore } from "../src/auth/store.js";
+import { UserStore } from "../src/auth/users.js";
+import { loadConfig } from "../src/config.js";
+import { ListStore } from "../src/lists/store.js";
+import { ImageCache, TmdbAccounts, TmdbClient } from "../src/tmdb/index.js";
+import { createApp } from "../src/transports/http.js";
+
+const REDIRECT_URI = "http://localhost/callback";
+const USERNAME = "alice";
+const PASSWORD = "correct horse";
+const CODE_VERIFIER = "a".repeat(64);
+const CODE_CHALLENGE = createHash("sha256").update(CODE_VERIFIER).digest("base64url");
+
+const dir = mkdtempSync(join(tmpdir(), "tmdb-oauth-test-"));
+let server: Server;
+let base: string;
+
+before(async () => {
+  const storeFile = join(dir, "auth.json");
+  await new UserStore(new FileAuthStore(storeFile)).create(USERNAME, PASSWORD);
+
+  const config = loadConfig([], {
+    TMDB_API_KEY: "test",
+    MCP_TRANSPORT: "http",
+    MCP_AUTH: "oauth",
+    OAUTH_STORE_FILE: storeFile,
+  });
+  const tmdb = new TmdbClient({ apiKey: config.tmdbApiKey, maxRetries: 0 });
+  const app = createApp({
+    config,
+    tmdb,
+    lists: new ListStore(new MemoryAuthStore()),
+    accounts: new TmdbAccounts(tmdb, new MemoryAuthStore()),
+    images: new ImageCache(),
+  });
+
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  base = `http://localhost:${(server.address() as AddressInfo).port}`;
+});
+
+after(() => {
+  server.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+function register(metadata: Record<string, unknown> = {}, headers: Record<string, string> = {}) {
+  return fetch(`${base}/oauth/register`, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...headers },
+    body: JSON.stringify({ redirect_uris: [REDIRECT_URI], ...metadata }),
+  });
+}
+
+async function registerClient(address: string, metadata: Record<string, unknown> = {}): Promise<string> {
+  const response = await register(metadata, { "x-forwarded-for": address });
+  assert.equal(response.status, 201);
+  return (await response.json()).client_id;
+}
+
+// Opens the consent page and returns the sign-in request id embedded in it
+async function authorize(clientId: string, params: Record<string, string> = {}): Promise<string> {
+  const query = new URLSearchParams({
+    client_id: clientId,
+    redirect_uri: REDIRECT_URI,
+    response_type: "code",
+    code_challenge: CODE_CHALLENGE,
+    code_challenge_method: "S256",
+    ...params,
+  });
+  const response = await fetch(`${base}/oauth/authorize?${query}`, { redirect: "manual" });
+  assert.equal(response.status, 200);
+  const match = /name="request_id" value="([^"]+)"/.exec(await response.text());
+  assert.ok(match);
+  return match[1];
+}
+
+function signIn(requestId: string, password: string, address: string) {
+  return fetch(`${base}/oauth/authorize`, {
+    method: "POST",
+    headers: { "x-forwarded-for": address },
+    body: new URLSearchParams({ request_id: requestId, action: "approve", username: USERNAME, password }),
+    redirect: "manual",
+  });
+}
+
+// Signs in on the consent page and returns the authorization code sent to the redirect URI
+async function authorizationCode(clientId: string, params: Record<string, string> = {}): Promise<string> {
+  const response = await signIn(await authorize(clientId, params), PASSWORD, "192.0.2.10");
+  assert.equal(response.status, 302);
+  const code = new URL(response.headers.get("location")!).searchParams.get("code");
+  assert.ok(code);
+  return code;
+}
+
+async function token(params: Record<string, string>): Promise<{ status: number; body: Record<string, any> }> {
+  const response = await fetch(`${base}/oauth/token`, { method: "POST", body: new URLSearchParams(params) });
+  return { status: response.status, body: await response.json() };
+}
+
+function exchange(clientId: string, code: string, overrides: Record<string, string> = {}) {
+  return token({
+    grant_type: "authorization_code",
+    client_id: clientId,
+    code,
+    redirect_uri: REDIRECT_URI,
+    code_verifier: CODE_VERIFIER,
+    ...overrides,
+  });
+}
+
+test("limits registrations per client address, whatever X-Forwarded-For claims", async () => {
+  // The proxy appends the address it saw; everything before that is up to the client
+  const statuses = [];
+  for (let i = 0; i < 12; i++) {
+    const response = await register({}, { "x-forwarded-for": `198.51.100.${i}, 203.0.113.7` });
+    statuses.push(response.status);
+  }
+  assert.deepEqual(statuses, [...Array(10).fill(201), 429, 429]);
+
+  const otherAddress = await register({}, { "x-forwarded-for": "203.0.113.8" });
+  assert.equal(otherAddress.status, 201);
+});
+
+test("rejects invalid client metadata", async () => {
+  const response = await register({ redirect_uris: ["http://example.com/callback"] }, { "x-forwarded-for": "203.0.113.9" });
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error, "invalid_client_metadata");
+});
+
+test("drops a sign-in request after five wrong passwords", async () => {
+  const clientId = await registerClient("192.0.2.1");
+  const requestId = await authorize(clientId);
+
+  for (let i = 0; i < 4; i++) {
+    assert.equal((await signIn(requestId, "wrong password", "192.0.2.1")).status, 401);
+  }
+  const locked = await signIn(requestId, "wrong password", "192.0.2.1");
+  assert.equal(locked.status, 400);
+  assert.match(await locked.text(), /Too many failed sign-in attempts/);
+
+  const expired = await signIn(requestId, PASSWORD, "192.0.2.1");
+  assert.equal(expired.status, 400);
+  assert.match(await expired.text(), /expired/);
+});
+
+test("refuses sign-ins from an address with too many failures", async () => {
+  const clientId = await registerClient("192.0.2.2");
+  for (let i = 0; i < 5; i++) {
+    const requestId = await authorize(clientId);
+    for (let attempt = 0; attempt < 4; attempt++) {
+      await signIn(requestId, "wrong password", "192.0.2.2");
+    }
+  }
+
+  const requestId = await authorize(clientId);
+  assert.equal((await signIn(requestId, PASSWORD, "192.0.2.2")).status, 429);
+  assert.equal((await signIn(requestId, PASSWORD, "192.0.2.3")).status, 302);
+});
+
+test("exchanges a code once, and only with the matching PKCE verifier", async () => {
+  const clientId = await registerClient("192.0.2.20");
+
+  const rejected = await authorizationCode(clientId);
+  assert.equal((await exchange(clientId, rejected, { code_verifier: "b".repeat(64) })).body.error, "invalid_grant");
+  // A failed attempt still uses the code up
+  assert.equal((await exchange(clientId, rejected)).body.error, "invalid_grant");
+
+  const code = await authorizationCode(clientId);
+  const issued = await exchange(clientId, code);
+  assert.equal(issued.status, 200);
+  assert.equal(issued.body.token_type, "Bearer");
+  assert.ok(issued.body.access_token);
+  assert.ok(issued.body.refresh_token);
+
+  const replayed = await exchange(clientId, code);
+  assert.equal(replayed.status, 400);
+  assert.equal(replayed.body.error, "invalid_grant");
+});
+
+test("expires codes after a minute", async () => {
+  const clientId = await registerClient("192.0.2.21");
+  const code = await authorizationCode(clientId);
+
+  mock.timers.enable({ apis: ["Date"], now: Date.now() + 61_000 });
+  try {
+    assert.equal((await exchange(clientId, code)).body.error, "invalid_grant");
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test("binds codes to the client and redirect URI they were issued for", async () => {
+  const clientId = await registerClient("192.0.2.22");
+  const otherClientId = await registerClient("192.0.2.22");
+
+  const query = new URLSearchParams({ client_id: clientId, redirect_uri: "http://localhost/elsewhere", response_type: "code" });
+  const unregistered = await fetch(`${base}/oauth/authorize?${query}`, { redirect: "manual" });
+  assert.equal(unregistered.status, 400);
+
+  const wrongRedirect = await exchange(clientId, await authorizationCode(clientId), { redirect_uri: "http://localhost/elsewhere" });
+  assert.equal(wrongRedirect.body.error, "invalid_grant");
+
+  const wrongClient = await exchange(otherClientId, await authorizationCode(clientId));
+  assert.equal(wrongClient.body.error, "invalid_grant");
+});
+
+test("rotates refresh tokens and lets them narrow, but not widen, the scope", async () => {
+  const clientId = await registerClient("192.0.2.23");
+  const issued = await exchange(clientId, await authorizationCode(clientId, { scope: "read lists:write" }));
+  assert.equal(issued.body.scope, "read lists:write");
+
+  const refresh = (refreshToken: string, scope?: string) =>
+    token({ grant_type: "refresh_token", client_id: clientId, refresh_token: refreshToken, ...(scope ? { scope } : {}) });
+
+  const narrowed = await refresh(issued.body.refresh_token, "read");
+  assert.equal(narrowed.status, 200);
+  assert.equal(narrowed.body.scope, "read");
+  assert.notEqual(narrowed.body.refresh_token, issued.body.refresh_token);
+
+  assert.equal((await refresh(issued.body.refresh_token)).body.error, "invalid_grant");
+  assert.equal((await refresh(narrowed.body.refresh_token, "read lists:write")).body.error, "invalid_scope");
+});
+
+test("keeps registered clients to the scope they registered", async () => {
+  const clientId = await registerClient("192.0.2.24", { scope: "read" });
+  const query = new URLSearchParams({
+    client_id: clientId,
+    redirect_uri: REDIRECT_URI,
+    response_type: "code",
+    code_challenge: CODE_CHALLENGE,
+    code_challenge_method: "S256",
+    scope: "read tmdb:account",
+  });
+  const response = await fetch(`${base}/oauth/authorize?${query}`, { redirect: "manual" });
+  assert.equal(response.status, 302);
+  assert.equal(new URL(response.headers.get("location")!).searchParams.get("error"), "invalid_scope");
+
+  // Without a scope parameter the registered scope is requested
+  const issued = await exchange(clientId, await authorizationCode(clientId));
+  assert.equal(issued.body.scope, "read");
+});
+
+test("only lists and runs the tools a token has the scope for", async () => {
+  const unauthenticated = await fetch(`${base}/mcp`, { method: "POST" });
+  assert.equal(unauthenticated.status, 401);
+  assert.match(unauthenticated.headers.get("www-authenticate") ?? "", /resource_metadata=/);
+
+  const clientId = await registerClient("192.0.2.25");
+  const issued = await exchange(clientId, await authorizationCode(clientId, { scope: "read" }));
+
+  const client = new Client({ name: "oauth-test", version: "1.0.0" });
+  await client.connect(new StreamableHTTPClientTransport(new URL(`${base}/mcp`), {
+    requestInit: { headers: { Authorization: `Bearer ${issued.body.access_token}` } },
+  }));
+  try {
+    const tools = (await client.listTools()).tools.map((tool) => tool.name);
+    assert.ok(tools.includes("search_movies"));
+    assert.ok(!tools.includes("rate_title"));
+    assert.ok(!tools.includes("add_to_list"));
+
+    const result = await client.callTool({ name: "rate_title", arguments: { id: "movie:550", rating: 8 } });
+    assert.equal(result.isError, true);
+    assert.match(JSON.stringify(result.content), /rate_title disabled/);
+  } finally {
+    await client.close();
+  }
+});
@@ -0,0 +1,40 @@
+import assert from "node:assert/strict";
+import type { AddressInfo } from "node:net";
+import { after, test } from "node:test";
+import express from "express";
+import { TmdbApiError, TmdbClient } from "../src/tmdb/index.js";
+
+// Fails each endpoint's first request with a 500, then succeeds
+const calls = new Map<string, number>();
+const app = express();
+app.all("/3/:name", (req, res) => {
+  const count = (calls.get(req.params.name) ?? 0) + 1;
+  calls.set(req.params.name, count);
+  if (count === 1) res.status(500).json({ status_message: "Internal error" });
+  else res.json({ success: true });
+});
+const server = app.listen(0);
+
+after(() => {
+  server.close();
+});
+
+function client(): TmdbClient {
+  return new TmdbClient({
+    apiKey: "test",
+    baseUrl: `http://localhost:${(server.address() as AddressInfo).port}`,
+    retryBaseDelayMs: 1,
+  });
+}
+
+test("retries failed reads and deletes", async () => {
+  assert.deepEqual(await client().get("/read"), { success: true });
+  assert.deepEqual(await client().send("/delete", { method: "DELETE" }), { success: true });
+  assert.equal(calls.get("read"), 2);
+  assert.equal(calls.get("delete"), 2);
+});
+
+test("doesn't repeat a failed POST", async () => {
+  await assert.rejects(client().send("/write", { method: "POST", body: {} }), TmdbApiError);
+  assert.equal(calls.get("write"), 1);
+});